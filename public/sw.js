@@ -0,0 +1,61 @@
+// Keeps scene assets in Cache Storage so repeat visits (and patchy park Wi-Fi)
+// don't download the GLBs and textures again. Remote scene assets are
+// content-addressed (immutable per URL): cache first. The app's own targets
+// and images keep their names across deploys: served from the cache but
+// refreshed in the background. JSON manifests change: network first.
+const CACHE_NAME = 'ar-assets-v1';
+const ASSET = /\.(glb|gltf|bin|png|jpe?g|webp|ktx2|mind)$/i;
+const MANIFEST = /\.json$/i;
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+        // Control the first visit too, so its preload already fills the cache.
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (ASSET.test(url.pathname)) {
+        event.respondWith(url.origin === self.location.origin ? staleWhileRevalidate(event, request) : cacheFirst(request));
+    } else if (MANIFEST.test(url.pathname)) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+function cacheFirst(request) {
+    return caches.open(CACHE_NAME).then(cache => cache.match(request).then(cached => {
+        if (cached) return cached;
+        return fetch(request).then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        });
+    }));
+}
+
+function staleWhileRevalidate(event, request) {
+    return caches.open(CACHE_NAME).then(cache => cache.match(request).then(cached => {
+        const refresh = fetch(request).then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        });
+        if (!cached) return refresh;
+        // The next visit gets the new file.
+        event.waitUntil(refresh.catch(() => null));
+        return cached;
+    }));
+}
+
+function networkFirst(request) {
+    return caches.open(CACHE_NAME).then(cache => fetch(request).then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    }).catch(err => cache.match(request).then(cached => {
+        if (cached) return cached;
+        throw err;
+    })));
+}
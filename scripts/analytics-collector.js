@@ -0,0 +1,47 @@
+// Local stand-in for the analytics endpoint: appends every posted event to an
+// NDJSON file (same format as the in-app export).
+//   npm run collector -- [--port 8787] [--out analytics.ndjson]
+// then open the app with ?analytics=http://<this machine>:8787/events
+import { createServer } from 'node:http';
+import { appendFileSync } from 'node:fs';
+
+let port = 8787;
+let out = 'analytics.ndjson';
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port') port = parseInt(args[++i]);
+    else if (args[i] === '--out') out = args[++i];
+}
+
+const CORS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS).end();
+        return;
+    }
+    if (req.method !== 'POST') {
+        res.writeHead(405, CORS).end();
+        return;
+    }
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        let events;
+        try {
+            events = JSON.parse(body).events;
+            if (!Array.isArray(events)) throw new Error('no events array');
+        } catch (err) {
+            console.error(`Bad batch: ${err.message}`);
+            res.writeHead(400, CORS).end();
+            return;
+        }
+        appendFileSync(out, events.map(event => JSON.stringify(event) + '\n').join(''));
+        events.forEach(event => console.log(`${event.session} #${event.seq} ${event.type} ${JSON.stringify(event.data)}`));
+        res.writeHead(204, CORS).end();
+    });
+}).listen(port, () => console.log(`Analytics collector on :${port}, writing ${out}`));
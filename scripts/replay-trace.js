@@ -0,0 +1,42 @@
+// Replays a trace exported with ?record:
+//   npm run replay -- trace.json [--width 0.58] [--bias 1.0] [--no-hit-depth]
+import { readFileSync } from 'node:fs';
+import { replayTrace } from '../src/TraceReplay.js';
+
+const options = { useHitDepth: true };
+let file = null;
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--width') options.markerWidth = parseFloat(args[++i]);
+    else if (args[i] === '--bias') options.distanceBias = parseFloat(args[++i]);
+    else if (args[i] === '--no-hit-depth') options.useHitDepth = false;
+    else file = args[i];
+}
+if (!file) {
+    console.error('usage: replay-trace <trace.json> [--width m] [--bias k] [--no-hit-depth]');
+    process.exit(1);
+}
+
+const trace = JSON.parse(readFileSync(file, 'utf8'));
+const report = replayTrace(trace, options);
+
+const vec = (v) => `(${v.x.toFixed(3)}, ${v.y.toFixed(3)}, ${v.z.toFixed(3)})`;
+console.log(`Trace ${trace.createdAt} — ${trace.markers.length} marker / ${trace.viewers.length} viewer samples`);
+report.attempts.forEach((a, i) => {
+    const outcome = a.fused
+        ? `accepted at +${(a.acceptedAt - a.start).toFixed(0)}ms, ${a.fused.inliers}/${a.fused.total} inliers, ` +
+          `spread ${(a.fused.positionSpread * 100).toFixed(1)}cm / ${a.fused.rotationSpreadDeg.toFixed(2)}°`
+        : `rejected (${a.lastReason || 'no samples'})`;
+    console.log(`Attempt ${i + 1}: target ${a.targetIndex}, ${a.samples} samples, ${a.restarts} restarts, ${outcome}` +
+        (a.exitTo ? ` -> ${a.exitTo}` : ''));
+});
+if (!report.origin) {
+    console.log(`No lock: ${report.reason}`);
+    process.exit(2);
+}
+console.log(`Depth: ${report.hitDistance !== null ? `hit test ${report.hitDistance.toFixed(3)}m` : `MindAR ${report.fused.position.length().toFixed(3)}m`}`);
+console.log(`Origin:   ${vec(report.origin.position)}`);
+if (report.recorded) {
+    console.log(`Recorded: ${vec(report.recorded.position)}`);
+    console.log(`Delta: ${report.delta.positionCm.toFixed(1)}cm / ${report.delta.rotationDeg.toFixed(2)}°`);
+}
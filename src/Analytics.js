@@ -0,0 +1,153 @@
+import { AnalyticsQueue, MemoryAnalyticsQueue } from './AnalyticsQueue.js';
+import { downloadBlob } from './Download.js';
+
+// Every event the visitor journey reports; `track` rejects anything else so
+// collectors can rely on the set.
+export const ANALYTICS_EVENT = {
+    SESSION: 'session', // { userAgent, deviceModel, language, targetSrc }
+    MODE: 'mode', // { mode, reasons, limitations }
+    STATE: 'state', // { from, to, reason }
+    TARGET_LOST: 'target_lost', // { state, targetIndex }
+    STABILIZATION_RESTART: 'stabilization_restart', // { reason }
+    STABILIZED: 'stabilized', // { durationMs, inliers, total, positionSpreadCm, rotationSpreadDeg }
+    MARKER: 'marker', // { targetIndex, distance, maxDistance, jitterSD, consecutiveFrames }
+    LOCK: 'lock', // { targetIndex, durationMs, depth: 'hit-test' | 'mindar' | 'anchor', hitDistance }
+    SLAM: 'slam', // { from, to, reason }
+    RELOCALIZED: 'relocalized', // { distance, angleDeg }
+    TAP: 'tap', // { objectId, name }
+    IFRAME_OPEN: 'iframe_open' // { url }
+};
+
+const EVENT_TYPES = new Set(Object.values(ANALYTICS_EVENT));
+
+export const DEFAULT_ANALYTICS_OPTIONS = {
+    batchSize: 20,
+    flushIntervalMs: 10000,
+    // Events of this page load kept in memory for the NDJSON export.
+    historyLimit: 5000
+};
+
+export function toNDJSON(events) {
+    return events.map(event => JSON.stringify(event) + '\n').join('');
+}
+
+function createSessionId() {
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+}
+
+// Structured visitor-journey events. Without an endpoint events are only kept
+// for export; with one they go through a persistent queue and are POSTed as
+// { events: [...] } batches, so anything tracked offline is sent later.
+export class Analytics {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_ANALYTICS_OPTIONS, ...options };
+        this.endpoint = options.endpoint || null;
+        this.log = options.logger || (() => {});
+        this.fetch = options.fetch || ((url, init) => fetch(url, init));
+        this.now = options.now || (() => Date.now());
+        this.isOnline = options.isOnline || (() => typeof navigator === 'undefined' || navigator.onLine !== false);
+        this.queue = options.queue || (typeof indexedDB !== 'undefined' ? new AnalyticsQueue() : new MemoryAnalyticsQueue());
+
+        this.session = options.session || createSessionId();
+        this.startTime = this.now();
+        this.seq = 0;
+        this.buffer = []; // tracked but not yet in the queue
+        this.history = [];
+        this.listeners = new Set();
+        this.flushing = null;
+        this.nextFlush = null;
+        this.timer = null;
+    }
+
+    // Returns the event, or null for an unknown type.
+    track(type, data = {}) {
+        if (!EVENT_TYPES.has(type)) {
+            this.log(`Analytics: unknown event type "${type}"`);
+            return null;
+        }
+        const time = this.now();
+        const event = { session: this.session, seq: this.seq++, type, time, elapsedMs: time - this.startTime, data };
+        this.history.push(event);
+        if (this.history.length > this.options.historyLimit) this.history.shift();
+        if (this.endpoint) this.buffer.push(event);
+        this.listeners.forEach(listener => listener(event));
+        if (this.buffer.length >= this.options.batchSize) this.flush();
+        return event;
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    startAutoFlush() {
+        if (this.timer || !this.endpoint) return;
+        this.timer = setInterval(() => this.flush(), this.options.flushIntervalMs);
+        // Last chance before the page is hidden or reloaded.
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            });
+        }
+        if (typeof window !== 'undefined') window.addEventListener('online', () => this.flush());
+    }
+
+    // Resolves with the number of events sent. A call during a run queues one
+    // follow-up run, so events tracked meanwhile are included.
+    flush() {
+        if (this.flushing) {
+            if (!this.nextFlush) {
+                this.nextFlush = this.flushing.then(() => {
+                    this.nextFlush = null;
+                    return this.flush();
+                });
+            }
+            return this.nextFlush;
+        }
+        this.flushing = this.drain()
+            .catch(err => {
+                this.log(`Analytics upload deferred: ${err.message}`);
+                return 0;
+            })
+            .finally(() => { this.flushing = null; });
+        return this.flushing;
+    }
+
+    // Sends queued batches, oldest first, until the queue is empty or a
+    // request fails; whatever is left waits for the next flush.
+    async drain() {
+        if (!this.endpoint) return 0;
+        const events = this.buffer.splice(0);
+        if (events.length > 0) await this.queue.add(events);
+
+        let sent = 0;
+        while (this.isOnline()) {
+            const entries = await this.queue.peek(this.options.batchSize);
+            if (entries.length === 0) break;
+            await this.post(entries.map(entry => entry.event));
+            await this.queue.remove(entries.map(entry => entry.key));
+            sent += entries.length;
+        }
+        return sent;
+    }
+
+    post(events) {
+        return this.fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ events }),
+            keepalive: true
+        }).then(res => {
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        });
+    }
+
+    toNDJSON() {
+        return toNDJSON(this.history);
+    }
+
+    download(filename = `analytics-${this.session}.ndjson`) {
+        downloadBlob(filename, this.toNDJSON(), 'application/x-ndjson');
+        this.log(`Analytics exported: ${filename} (${this.history.length} events)`);
+    }
+}
@@ -0,0 +1,92 @@
+const DB_NAME = 'webxr-analytics';
+const DB_VERSION = 1;
+const STORE = 'events';
+
+// Analytics events waiting to be sent, kept in IndexedDB so batches survive
+// going offline and the reload that follows every XR session.
+export class AnalyticsQueue {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE, { autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    add(events) {
+        return this.request('readwrite', store => {
+            events.forEach(event => store.add(event));
+        });
+    }
+
+    // Oldest first, as { key, event }.
+    peek(limit) {
+        return this.request('readonly', store => {
+            const entries = [];
+            const cursor = store.openCursor();
+            cursor.onsuccess = () => {
+                const current = cursor.result;
+                if (!current || entries.length >= limit) return;
+                entries.push({ key: current.key, event: current.value });
+                current.continue();
+            };
+            return { result: entries };
+        });
+    }
+
+    remove(keys) {
+        return this.request('readwrite', store => {
+            keys.forEach(key => store.delete(key));
+        });
+    }
+
+    count() {
+        return this.request('readonly', store => store.count());
+    }
+
+    request(mode, fn) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const request = fn(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        }));
+    }
+}
+
+// Same interface without persistence: tests, and browsers without IndexedDB.
+export class MemoryAnalyticsQueue {
+    constructor() {
+        this.entries = [];
+        this.nextKey = 1;
+    }
+
+    add(events) {
+        events.forEach(event => this.entries.push({ key: this.nextKey++, event }));
+        return Promise.resolve();
+    }
+
+    peek(limit) {
+        return Promise.resolve(this.entries.slice(0, limit));
+    }
+
+    remove(keys) {
+        const removed = new Set(keys);
+        this.entries = this.entries.filter(entry => !removed.has(entry.key));
+        return Promise.resolve();
+    }
+
+    count() {
+        return Promise.resolve(this.entries.length);
+    }
+}
@@ -0,0 +1,127 @@
+// Handoff state machine (MindAR2WebAR.md §3). Pure JS with no DOM or three.js
+// dependency so it can be unit-tested in Node.
+
+export const AppState = {
+    INIT: 'INIT',
+    MINDAR_READY: 'MINDAR_READY',
+    MINDAR_TRACKING: 'MINDAR_TRACKING',
+    POSE_STABILIZING: 'POSE_STABILIZING',
+    WEBXR_STARTING: 'WEBXR_STARTING',
+    WORLD_LOCKING: 'WORLD_LOCKING',
+    RUNNING: 'RUNNING',
+    // Terminal: the scene is shown in the non-AR viewer instead.
+    VIEWER: 'VIEWER'
+};
+
+export const TRANSITIONS = {
+    // INIT → WEBXR_STARTING: resume from a persisted world anchor without scanning.
+    // → VIEWER: chosen by the preflight, or the camera / XR session failed to start.
+    [AppState.INIT]: [AppState.MINDAR_READY, AppState.WEBXR_STARTING, AppState.VIEWER],
+    [AppState.MINDAR_READY]: [AppState.MINDAR_TRACKING, AppState.VIEWER],
+    [AppState.MINDAR_TRACKING]: [AppState.POSE_STABILIZING, AppState.MINDAR_READY],
+    [AppState.POSE_STABILIZING]: [AppState.WEBXR_STARTING, AppState.MINDAR_READY],
+    // Re-entering WEBXR_STARTING is a retry after the browser demanded a user gesture.
+    [AppState.WEBXR_STARTING]: [AppState.WEBXR_STARTING, AppState.WORLD_LOCKING, AppState.VIEWER],
+    [AppState.WORLD_LOCKING]: [AppState.RUNNING],
+    [AppState.RUNNING]: [],
+    [AppState.VIEWER]: []
+};
+
+// Spec §4.2: marker must be visible for N consecutive frames before tracking counts.
+export const MIN_TRACKING_FRAMES = 10;
+
+export const DEFAULT_GUARDS = {
+    [`${AppState.MINDAR_READY}->${AppState.MINDAR_TRACKING}`]: (payload) =>
+        !!payload && payload.consecutiveFrames >= MIN_TRACKING_FRAMES
+};
+
+export class AppStateMachine {
+    constructor(options = {}) {
+        this.state = options.initial || AppState.INIT;
+        this.transitions = options.transitions || TRANSITIONS;
+        this.guards = { ...DEFAULT_GUARDS, ...(options.guards || {}) };
+        this.log = options.logger || (() => {});
+        this.now = options.now || (() => Date.now());
+        this.setTimer = options.setTimeout || ((fn, ms) => setTimeout(fn, ms));
+        this.clearTimer = options.clearTimeout || ((id) => clearTimeout(id));
+
+        this.enterHooks = new Map();
+        this.exitHooks = new Map();
+        this.listeners = new Set();
+        this.stateTimers = [];
+        this.history = [];
+    }
+
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    can(to, payload) {
+        const allowed = this.transitions[this.state] || [];
+        if (!allowed.includes(to)) return false;
+        const guard = this.guards[`${this.state}->${to}`];
+        return guard ? guard(payload) : true;
+    }
+
+    // Returns false (and emits a 'rejected' event) when the move is not allowed.
+    transition(to, payload = {}) {
+        const from = this.state;
+        if (!this.can(to, payload)) {
+            this.emit({ type: 'rejected', from, to, payload, at: this.now() });
+            return false;
+        }
+
+        this.clearStateTimers();
+        this.runHooks(this.exitHooks, from, { from, to, payload });
+        this.state = to;
+        this.log(`State: ${from} -> ${to}`);
+        const event = { type: 'transition', from, to, payload, at: this.now() };
+        this.history.push(event);
+        this.emit(event);
+        this.runHooks(this.enterHooks, to, { from, to, payload });
+        return true;
+    }
+
+    onEnter(state, fn) {
+        return this.addHook(this.enterHooks, state, fn);
+    }
+
+    onExit(state, fn) {
+        return this.addHook(this.exitHooks, state, fn);
+    }
+
+    subscribe(fn) {
+        this.listeners.add(fn);
+        return () => this.listeners.delete(fn);
+    }
+
+    // A timer owned by the current state: cancelled automatically when it exits.
+    setStateTimeout(ms, fn) {
+        const owner = this.state;
+        const id = this.setTimer(() => {
+            this.stateTimers = this.stateTimers.filter(t => t !== id);
+            if (this.state === owner) fn();
+        }, ms);
+        this.stateTimers.push(id);
+        return id;
+    }
+
+    clearStateTimers() {
+        this.stateTimers.forEach(id => this.clearTimer(id));
+        this.stateTimers = [];
+    }
+
+    addHook(hooks, state, fn) {
+        if (!hooks.has(state)) hooks.set(state, []);
+        hooks.get(state).push(fn);
+        return () => hooks.set(state, hooks.get(state).filter(h => h !== fn));
+    }
+
+    runHooks(hooks, state, info) {
+        (hooks.get(state) || []).forEach(fn => fn(info));
+    }
+
+    emit(event) {
+        this.listeners.forEach(fn => fn(event));
+    }
+}
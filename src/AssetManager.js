@@ -0,0 +1,130 @@
+export const DEFAULT_ASSET_OPTIONS = {
+    // Parallel downloads; a few at a time finishes sooner on weak Wi-Fi than all at once.
+    concurrency: 6,
+    retries: 3,
+    retryDelayMs: 500 // doubled after each failed attempt
+};
+
+// Fetches scene assets once per URL, a few at a time, retrying failures.
+// Persistence across visits is left to the service worker (public/sw.js),
+// which answers these requests from Cache Storage.
+export class AssetManager {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_ASSET_OPTIONS, ...options };
+        this.log = options.logger || (() => {});
+        this.fetch = options.fetch || ((url) => fetch(url));
+        this.setTimer = options.setTimeout || ((fn, ms) => setTimeout(fn, ms));
+
+        this.entries = new Map(); // url -> download state, see download()
+        this.queue = [];
+        this.active = 0;
+        this.listeners = new Set();
+    }
+
+    // Resolves with the response body as an ArrayBuffer. Calls while a URL is
+    // downloading share it, and a preloaded body is handed to the first call
+    // and then released (consumers cache what they build from it). Later
+    // calls download again. A failed URL is attempted again.
+    load(url) {
+        const existing = this.entries.get(url);
+        if (existing && existing.status === 'pending') {
+            existing.taken = true;
+            return existing.promise;
+        }
+        if (existing && existing.status === 'loaded') {
+            const buffer = existing.buffer;
+            existing.buffer = null;
+            return buffer ? Promise.resolve(buffer) : this.enqueue(() => this.fetchWithRetry(url));
+        }
+        const entry = this.download(url);
+        entry.taken = true;
+        return entry.promise;
+    }
+
+    loadJSON(url) {
+        return this.load(url).then(buffer => JSON.parse(new TextDecoder().decode(buffer)));
+    }
+
+    // Starts downloading without waiting on the result; the body waits for its
+    // first load(). Failures only count in progress.
+    preload(urls) {
+        return Promise.all(urls.map(url => {
+            const existing = this.entries.get(url);
+            const entry = existing && existing.status !== 'failed' ? existing : this.download(url);
+            return entry.promise ? entry.promise.then(() => null, () => null) : null;
+        }));
+    }
+
+    // entries: url -> { status, promise (while pending), buffer (loaded, until taken), taken }
+    download(url) {
+        const entry = { status: 'pending', promise: null, buffer: null, taken: false };
+        entry.promise = this.enqueue(() => this.fetchWithRetry(url)).then(buffer => {
+            entry.status = 'loaded';
+            entry.promise = null;
+            if (!entry.taken) entry.buffer = buffer;
+            this.emit();
+            return buffer;
+        }, err => {
+            entry.status = 'failed';
+            entry.promise = null;
+            this.log(`Asset failed: ${url} (${err.message})`);
+            this.emit();
+            throw err;
+        });
+        this.entries.set(url, entry);
+        this.emit();
+        return entry;
+    }
+
+    get progress() {
+        let loaded = 0;
+        let failed = 0;
+        this.entries.forEach(entry => {
+            if (entry.status === 'loaded') loaded++;
+            else if (entry.status === 'failed') failed++;
+        });
+        const total = this.entries.size;
+        return { total, loaded, failed, done: loaded + failed === total };
+    }
+
+    onProgress(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit() {
+        const progress = this.progress;
+        this.listeners.forEach(listener => listener(progress));
+    }
+
+    enqueue(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push(() => task().then(resolve, reject));
+            this.next();
+        });
+    }
+
+    next() {
+        while (this.active < this.options.concurrency && this.queue.length > 0) {
+            const start = this.queue.shift();
+            this.active++;
+            start().finally(() => {
+                this.active--;
+                this.next();
+            });
+        }
+    }
+
+    fetchWithRetry(url, attempt = 0) {
+        return this.fetch(url).then(res => {
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return res.arrayBuffer();
+        }).catch(err => {
+            if (attempt + 1 >= this.options.retries) throw err;
+            const delay = this.options.retryDelayMs * 2 ** attempt;
+            this.log(`Retrying ${url} in ${delay}ms (${err.message})`);
+            return new Promise(resolve => this.setTimer(resolve, delay))
+                .then(() => this.fetchWithRetry(url, attempt + 1));
+        });
+    }
+}
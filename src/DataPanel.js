@@ -0,0 +1,220 @@
+import * as THREE from 'three';
+import { I18n } from './I18n.js';
+
+const CANVAS_WIDTH = 1024;
+const CANVAS_HEIGHT = 1280;
+const PADDING = 56;
+const MAX_ITEMS = 4;
+export const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+// `fields.type` of announcement panels (model type 26); labels are catalog keys.
+const ANNOUNCEMENT_KIND = {
+    0: { label: 'panel.news', color: '#2e9e5b' },
+    1: { label: 'panel.education', color: '#e08a1e' },
+    2: { label: 'panel.press', color: '#2f6fd6' }
+};
+const SERVICE_TIME_KIND = { label: 'panel.serviceTime', color: '#8a4fd6' };
+const defaultI18n = new I18n();
+
+export function defaultFetcher(url) {
+    return fetch(url).then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+    });
+}
+
+// A canvas-textured plane showing a live announcements or service-time feed.
+export class DataPanel {
+    constructor(objData, options = {}) {
+        this.objData = objData;
+        this.fields = (objData.model && objData.model.fields) || {};
+        this.isServiceTime = options.isServiceTime || false;
+        this.fetcher = options.fetcher || defaultFetcher;
+        this.log = options.logger || console.log;
+        this.refreshInterval = options.refreshInterval || REFRESH_INTERVAL_MS;
+        this.t = options.t || ((key) => defaultI18n.t(key));
+        this.timer = null;
+
+        this.kind = this.isServiceTime ? SERVICE_TIME_KIND : (ANNOUNCEMENT_KIND[this.fields.type] || ANNOUNCEMENT_KIND[0]);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = CANVAS_WIDTH;
+        this.canvas.height = CANVAS_HEIGHT;
+        this.ctx = this.canvas.getContext('2d');
+
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.colorSpace = THREE.SRGBColorSpace;
+
+        const width = this.fields.width || 1;
+        const height = width * (CANVAS_HEIGHT / CANVAS_WIDTH);
+        const material = new THREE.MeshBasicMaterial({
+            map: this.texture,
+            transparent: true,
+            side: this.fields.is_double_sided ? THREE.DoubleSide : THREE.FrontSide
+        });
+        this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+
+        this.draw([], this.t('panel.loading'));
+    }
+
+    start() {
+        this.refresh();
+        this.timer = setInterval(() => this.refresh(), this.refreshInterval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    refresh() {
+        const url = this.fields.resource_url;
+        if (!url) {
+            this.draw([], this.t('panel.noSource'));
+            return Promise.resolve();
+        }
+        return Promise.resolve(this.fetcher(url))
+            .then(json => {
+                const items = this.isServiceTime ? parseServiceTime(json) : parseAnnouncements(json);
+                this.draw(items, items.length === 0 ? this.t('panel.empty') : null);
+            })
+            .catch(err => {
+                this.log(`Data panel ${this.objData.name} fetch failed: ${err}`);
+                this.draw([], this.t('panel.error'));
+            });
+    }
+
+    draw(items, message) {
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+        roundRect(ctx, 0, 0, CANVAS_WIDTH, CANVAS_HEIGHT, 48);
+        ctx.fill();
+
+        ctx.fillStyle = this.kind.color;
+        roundRect(ctx, 0, 0, CANVAS_WIDTH, 160, 48);
+        ctx.fill();
+        ctx.fillRect(0, 112, CANVAS_WIDTH, 48);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 64px sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.t(this.kind.label), PADDING, 80);
+
+        let y = 220;
+        ctx.textBaseline = 'top';
+        if (message) {
+            ctx.fillStyle = '#666666';
+            ctx.font = '44px sans-serif';
+            ctx.fillText(message, PADDING, y);
+        }
+
+        const maxWidth = CANVAS_WIDTH - PADDING * 2;
+        items.slice(0, MAX_ITEMS).forEach(item => {
+            if (y > CANVAS_HEIGHT - 120) return;
+
+            ctx.fillStyle = '#222222';
+            ctx.font = 'bold 46px sans-serif';
+            wrapText(ctx, item.title, maxWidth).slice(0, 2).forEach(line => {
+                ctx.fillText(line, PADDING, y);
+                y += 58;
+            });
+
+            if (item.subtitle) {
+                ctx.fillStyle = this.kind.color;
+                ctx.font = '34px sans-serif';
+                ctx.fillText(item.subtitle, PADDING, y);
+                y += 46;
+            }
+
+            if (item.body) {
+                ctx.fillStyle = '#555555';
+                ctx.font = '36px sans-serif';
+                wrapText(ctx, item.body, maxWidth).slice(0, 3).forEach(line => {
+                    ctx.fillText(line, PADDING, y);
+                    y += 46;
+                });
+            }
+
+            y += 28;
+            ctx.fillStyle = '#dddddd';
+            ctx.fillRect(PADDING, y - 16, maxWidth, 2);
+        });
+
+        this.texture.needsUpdate = true;
+    }
+
+    dispose() {
+        this.stop();
+        this.texture.dispose();
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
+
+function unwrapList(json) {
+    if (Array.isArray(json)) return json;
+    if (!json || typeof json !== 'object') return [];
+    for (const key of ['data', 'announcements', 'items', 'results']) {
+        if (Array.isArray(json[key])) return json[key];
+        if (json[key] && typeof json[key] === 'object') return unwrapList(json[key]);
+    }
+    return [];
+}
+
+function stripHtml(text) {
+    return String(text || '').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function parseAnnouncements(json) {
+    return unwrapList(json).map(item => {
+        const date = item.published_at || item.start_at || item.date || item.created_at;
+        return {
+            title: stripHtml(item.title || item.name || ''),
+            subtitle: date ? String(date).slice(0, 10) : '',
+            body: stripHtml(item.summary || item.description || item.content || '')
+        };
+    }).filter(item => item.title);
+}
+
+function parseServiceTime(json) {
+    const list = unwrapList(json);
+    if (list.length > 0) {
+        return list.map(item => ({
+            title: stripHtml(item.title || item.name || item.label || ''),
+            subtitle: [item.open_time || item.start_time, item.close_time || item.end_time].filter(Boolean).join(' - '),
+            body: stripHtml(item.description || item.note || '')
+        })).filter(item => item.title || item.subtitle);
+    }
+    const data = (json && json.data) || json || {};
+    return Object.keys(data)
+        .filter(key => typeof data[key] !== 'object')
+        .map(key => ({ title: key, subtitle: String(data[key]), body: '' }));
+}
+
+function wrapText(ctx, text, maxWidth) {
+    // Per-character wrapping so CJK text without spaces still breaks.
+    const lines = [];
+    let line = '';
+    for (const ch of String(text)) {
+        if (ctx.measureText(line + ch).width > maxWidth && line) {
+            lines.push(line);
+            line = ch.trim() ? ch : '';
+        } else {
+            line += ch;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+function roundRect(ctx, x, y, w, h, r) {
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+}
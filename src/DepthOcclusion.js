@@ -0,0 +1,114 @@
+import * as THREE from 'three';
+
+// Raw depth values to meters. 'luminance-alpha' (and 'unsigned-short') pack
+// a 16-bit integer per pixel; 'float32' is a float per pixel.
+export function depthToMeters(data, dataFormat, rawValueToMeters, out) {
+    const raw = dataFormat === 'float32' ? new Float32Array(data) : new Uint16Array(data);
+    for (let i = 0; i < raw.length; i++) out[i] = raw[i] * rawValueToMeters;
+    return out;
+}
+
+const vertexShader = `
+varying vec2 vUv;
+void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+}`;
+
+// Writes the real-world depth into the depth buffer: virtual fragments
+// farther away than the real surface then fail the depth test.
+const fragmentShader = `
+uniform sampler2D depthMap;
+uniform mat4 uvTransform;
+uniform vec2 projectionZ;
+varying vec2 vUv;
+void main() {
+    // Normalized view coordinates start at the top left.
+    vec2 depthUv = (uvTransform * vec4(vUv.x, 1.0 - vUv.y, 0.0, 1.0)).xy;
+    float meters = texture2D(depthMap, depthUv).r;
+    if (meters <= 0.0) discard; // no estimate here: occlude nothing
+    float ndcZ = (projectionZ.x * -meters + projectionZ.y) / meters;
+    gl_FragDepth = ndcZ * 0.5 + 0.5;
+}`;
+
+// Occlusion against the real environment from the WebXR 'depth-sensing'
+// feature. Each frame the CPU depth map is uploaded as a float texture and a
+// full-screen quad writes it to the depth buffer before the scene is drawn.
+// Only the cpu-optimized usage is handled; the GPU path hands out a raw
+// WebGL texture that three can't sample without reaching into its internals.
+export class DepthOcclusion {
+    constructor({ scene, logger }) {
+        this.log = logger || console.log;
+        this.enabled = true;
+        this.texture = null;
+        this.meters = null;
+
+        this.material = new THREE.ShaderMaterial({
+            vertexShader,
+            fragmentShader,
+            uniforms: {
+                depthMap: { value: null },
+                uvTransform: { value: new THREE.Matrix4() },
+                projectionZ: { value: new THREE.Vector2() }
+            },
+            colorWrite: false,
+            depthWrite: true,
+            // Depth writes need the test on; always passing, it overwrites the cleared depth.
+            depthFunc: THREE.AlwaysDepth
+        });
+        this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+        this.mesh.name = 'DepthOcclusion';
+        this.mesh.frustumCulled = false;
+        this.mesh.renderOrder = -1000; // before the is_occlusion meshes (-1) and content
+        this.mesh.visible = false;
+        // The XR view camera, which is the one the depth map belongs to.
+        this.mesh.onBeforeRender = (renderer, scene, camera) => {
+            const e = camera.projectionMatrix.elements;
+            this.material.uniforms.projectionZ.value.set(e[10], e[14]);
+            this.material.uniformsNeedUpdate = true;
+        };
+        scene.add(this.mesh);
+    }
+
+    static isSupported(session) {
+        return !!(session && session.enabledFeatures && session.enabledFeatures.includes('depth-sensing') &&
+            session.depthUsage === 'cpu-optimized');
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.mesh.visible = false;
+        this.log(`Depth occlusion ${enabled ? 'on' : 'off'}`);
+    }
+
+    // Call from the XR animation loop; the depth data is only valid during its frame.
+    update(frame, referenceSpace) {
+        if (!this.enabled) return;
+        const pose = frame.getViewerPose(referenceSpace);
+        const view = pose && pose.views[0];
+        const depth = view ? frame.getDepthInformation(view) : null;
+        this.mesh.visible = !!depth;
+        if (!depth) return;
+
+        const { width, height } = depth;
+        if (!this.texture || this.texture.image.width !== width || this.texture.image.height !== height) {
+            if (this.texture) this.texture.dispose();
+            this.meters = new Float32Array(width * height);
+            this.texture = new THREE.DataTexture(this.meters, width, height, THREE.RedFormat, THREE.FloatType);
+            this.texture.magFilter = THREE.NearestFilter;
+            this.texture.minFilter = THREE.NearestFilter;
+            this.material.uniforms.depthMap.value = this.texture;
+            this.log(`Depth map ${width}x${height} (${frame.session.depthDataFormat})`);
+        }
+        depthToMeters(depth.data, frame.session.depthDataFormat, depth.rawValueToMeters, this.meters);
+        this.texture.needsUpdate = true;
+        this.material.uniforms.uvTransform.value.fromArray(depth.normDepthBufferFromNormView.matrix);
+    }
+
+    dispose() {
+        this.mesh.removeFromParent();
+        this.mesh.geometry.dispose();
+        this.material.dispose();
+        if (this.texture) this.texture.dispose();
+    }
+}
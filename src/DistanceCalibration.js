@@ -0,0 +1,123 @@
+// MindAR assumes a fixed camera FOV, so its marker distance is off by a
+// device- and resolution-specific factor. That factor is measured (hit-test
+// depth at lock time, or a known standing distance) and stored per
+// "<device model>@<video WxH>".
+const STORAGE_KEY = 'distanceCalibration';
+const MAX_SAMPLES = 15;
+// Ratios outside this band are treated as a hit on the wrong surface.
+const MIN_RATIO = 0.25;
+const MAX_RATIO = 4;
+
+export const CALIBRATION_METHOD = {
+    HIT_TEST: 'hit-test',
+    KNOWN_DISTANCE: 'known-distance',
+    MANUAL: 'manual'
+};
+
+export function deviceModelFromUserAgent(userAgent) {
+    const android = /Android [\d.]+; ([^;)]+?)(?: Build\/[^;)]*)?[;)]/.exec(userAgent);
+    // Reduced user-agent strings report the model as "K".
+    if (android && android[1] !== 'K') return android[1].trim();
+    if (/iPhone/.test(userAgent)) return 'iPhone';
+    if (/iPad/.test(userAgent)) return 'iPad';
+    return 'unknown';
+}
+
+// User-Agent Client Hints give the real model where the UA string is reduced.
+export function detectDeviceModel(nav = navigator) {
+    const fallback = deviceModelFromUserAgent(nav.userAgent || '');
+    if (!nav.userAgentData || !nav.userAgentData.getHighEntropyValues) return Promise.resolve(fallback);
+    return nav.userAgentData.getHighEntropyValues(['model'])
+        .then(values => values.model || fallback)
+        .catch(() => fallback);
+}
+
+export function calibrationKey(model, videoSize) {
+    return `${model}@${videoSize.width}x${videoSize.height}`;
+}
+
+// Median ratio (true / MindAR distance) and its relative spread (MAD / median).
+export function estimateScale(ratios) {
+    const valid = ratios.filter(r => r >= MIN_RATIO && r <= MAX_RATIO);
+    if (valid.length === 0) return null;
+    const scale = medianOf(valid);
+    const spread = medianOf(valid.map(r => Math.abs(r - scale))) / scale;
+    return { scale, spread, count: valid.length };
+}
+
+export class DistanceCalibration {
+    constructor({ storage, logger } = {}) {
+        this.storage = storage || localStorage;
+        this.log = logger || console.log;
+        this.key = null;
+        this.entry = null;
+    }
+
+    get scale() {
+        return this.entry ? this.entry.scale : 1;
+    }
+
+    readAll() {
+        try {
+            return JSON.parse(this.storage.getItem(STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    load(key) {
+        this.key = key;
+        this.entry = this.readAll()[key] || null;
+        if (this.entry) this.log(`Distance calibration ${key}: ${this.describe()}`);
+        else this.log(`No distance calibration for ${key}; using scale 1.0`);
+        return this.entry;
+    }
+
+    // Hit-test samples accumulate; a known-distance run replaces earlier samples.
+    addSamples(ratios, method) {
+        if (!this.key) return null;
+        if (method === CALIBRATION_METHOD.HIT_TEST && this.entry && this.entry.method !== CALIBRATION_METHOD.HIT_TEST) {
+            // A deliberate calibration wins over opportunistic hit-test samples.
+            this.log(`Distance calibration: keeping ${this.entry.method} scale, hit-test ratio ${ratios.map(r => r.toFixed(2)).join(', ')}`);
+            return null;
+        }
+        const previous = this.entry && this.entry.method === method && method === CALIBRATION_METHOD.HIT_TEST
+            ? this.entry.samples
+            : [];
+        const samples = [...previous, ...ratios].slice(-MAX_SAMPLES);
+        const estimate = estimateScale(samples);
+        if (!estimate) {
+            this.log(`Distance calibration: rejected implausible ratios ${ratios.map(r => r.toFixed(2)).join(', ')}`);
+            return null;
+        }
+        this.save({ ...estimate, method, samples });
+        return this.entry;
+    }
+
+    setManual(scale) {
+        if (!this.key) return;
+        this.save({ scale, spread: 0, count: 0, method: CALIBRATION_METHOD.MANUAL, samples: [] });
+    }
+
+    save(entry) {
+        this.entry = { ...entry, updatedAt: Date.now() };
+        const all = this.readAll();
+        all[this.key] = this.entry;
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(all));
+        this.log(`Distance calibration ${this.key}: ${this.describe()}`);
+    }
+
+    describe() {
+        if (!this.entry) return 'uncalibrated (1.000)';
+        const { scale, method, count, spread } = this.entry;
+        return method === CALIBRATION_METHOD.MANUAL
+            ? `${scale.toFixed(3)} (manual)`
+            : `${scale.toFixed(3)} (${method}, n=${count}, ±${(spread * 100).toFixed(1)}%)`;
+    }
+}
+
+function medianOf(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
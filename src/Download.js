@@ -0,0 +1,11 @@
+// Saves `data` (a string or Blob part) as a file through a temporary link.
+export function downloadBlob(filename, data, type) {
+    const blob = new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Revoking right away can cancel the download in some browsers.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,227 @@
+import * as THREE from 'three';
+
+// scene.json `events[].id` values
+export const EVENT_TYPE = {
+    TAP: 1,
+    START: 9
+};
+
+// scene.json `events[].actions[].id` values
+export const ACTION_TYPE = {
+    SHOW: 7,
+    OPEN_URL: 8,
+    HIDE: 9,
+    PLAY_FRAMES: 11,
+    SET_TRANSPARENCY: 19,
+    FACE_CAMERA: 22,
+    DISABLE_TOUCH: 35,
+    ENABLE_TOUCH: 36
+};
+
+// FACE_CAMERA `face_translating` values
+export const FACE_TRANSLATE = {
+    NONE: 0,
+    HORIZONTAL: 1, // towards the viewer at the object's own height
+    FULL: 2 // straight towards the viewer
+};
+
+// How close FACE_CAMERA brings an object to the viewer, in meters.
+export const FACE_APPROACH_DISTANCE = 1;
+
+// Where `face_translating` moves an object at `position` (parent space)
+// for a viewer at `viewer`; objects already closer stay put.
+export function approachPosition(position, viewer, mode, distance = FACE_APPROACH_DISTANCE) {
+    if (mode !== FACE_TRANSLATE.HORIZONTAL && mode !== FACE_TRANSLATE.FULL) return position.clone();
+    const goal = viewer.clone();
+    if (mode === FACE_TRANSLATE.HORIZONTAL) goal.y = position.y;
+    const away = position.clone().sub(goal);
+    if (away.length() <= distance) return position.clone();
+    return goal.add(away.setLength(distance));
+}
+
+// Interprets the authored `events` of scene objects. Actions sharing a `group`
+// run in parallel; groups run one after another in ascending order.
+export class EventRuntime {
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.log = sceneManager.log;
+        this.onOpenUrl = null;
+
+        this.camera = null;
+        this.tasks = [];
+        this.activeChains = new Set();
+    }
+
+    hasEvent(objData, eventId) {
+        return Array.isArray(objData.events) && objData.events.some(e => e.id === eventId);
+    }
+
+    trigger(object, eventId) {
+        const objData = object.userData || {};
+        if (!Array.isArray(objData.events)) return Promise.resolve();
+
+        const chainKey = `${objData.id}:${eventId}`;
+        if (this.activeChains.has(chainKey)) {
+            this.log(`Event ${eventId} on ${objData.name} still running, ignored`);
+            return Promise.resolve();
+        }
+
+        const events = objData.events.filter(e => e.id === eventId);
+        if (events.length === 0) return Promise.resolve();
+
+        this.activeChains.add(chainKey);
+        return Promise.all(events.map(e => this.runActions(object, e.actions || [])))
+            .catch(err => this.log(`Event ${eventId} on ${objData.name} failed: ${err}`))
+            .finally(() => this.activeChains.delete(chainKey));
+    }
+
+    async runActions(owner, actions) {
+        const groups = new Map();
+        actions.forEach(action => {
+            const group = (action.values && action.values.group) || 1;
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(action);
+        });
+
+        const order = [...groups.keys()].sort((a, b) => a - b);
+        for (const group of order) {
+            await Promise.all(groups.get(group).map(action => this.runAction(owner, action)));
+        }
+    }
+
+    async runAction(owner, action) {
+        const values = action.values || {};
+        const target = values.obj_id ? this.sceneManager.getObjectById(values.obj_id) : owner;
+        if (!target) {
+            this.log(`Action ${action.id}: object ${values.obj_id} not loaded`);
+            return;
+        }
+
+        if (values.delay_time) await this.wait(values.delay_time);
+
+        const playCount = values.play_count || 1;
+        for (let i = 0; i < playCount; i++) {
+            await this.execute(action.id, target, values);
+        }
+    }
+
+    execute(actionId, target, values) {
+        switch (actionId) {
+            case ACTION_TYPE.SHOW:
+                this.sceneManager.setHidden(target, false);
+                return Promise.resolve();
+            case ACTION_TYPE.HIDE:
+                this.sceneManager.setHidden(target, true);
+                return Promise.resolve();
+            case ACTION_TYPE.OPEN_URL:
+                if (values.url && this.onOpenUrl) this.onOpenUrl(values.url);
+                return Promise.resolve();
+            case ACTION_TYPE.SET_TRANSPARENCY:
+                return this.fadeTo(target, values.transparency, values.time || 0);
+            case ACTION_TYPE.PLAY_FRAMES:
+                return this.sceneManager.playAnimation(target, {
+                    startFrame: values.start_frame,
+                    endFrame: values.end_frame,
+                    fps: values.fps,
+                    loop: false
+                });
+            case ACTION_TYPE.FACE_CAMERA:
+                return this.faceCamera(target, values);
+            case ACTION_TYPE.DISABLE_TOUCH:
+                this.sceneManager.setTouchEnabled(target, false);
+                return Promise.resolve();
+            case ACTION_TYPE.ENABLE_TOUCH:
+                this.sceneManager.setTouchEnabled(target, true);
+                return Promise.resolve();
+            default:
+                this.log(`Unsupported action ${actionId}`);
+                return Promise.resolve();
+        }
+    }
+
+    fadeTo(target, opacity, duration) {
+        const from = this.sceneManager.getOpacity(target);
+        const to = opacity === undefined || opacity === null ? 1 : opacity;
+
+        return this.tween(duration, t => {
+            this.sceneManager.setOpacity(target, from + (to - from) * t);
+        });
+    }
+
+    // face_rotate_to_me turns the target towards the viewer; face_translating
+    // moves it towards the viewer (FACE_TRANSLATE). trans_rot_sync runs both
+    // together, otherwise the turn comes first. face_is_return undoes both
+    // after face_wait_time.
+    async faceCamera(target, values) {
+        const translate = values.face_translating || FACE_TRANSLATE.NONE;
+        if (!this.camera || (!values.face_rotate_to_me && translate === FACE_TRANSLATE.NONE)) return;
+
+        const startQuat = target.quaternion.clone();
+        const startPos = target.position.clone();
+        const camPos = new THREE.Vector3();
+        this.camera.getWorldPosition(camPos);
+        target.parent.worldToLocal(camPos);
+
+        let faceQuat = startQuat;
+        if (values.face_rotate_to_me) {
+            // Yaw only, so upright models stay upright while turning.
+            const yaw = Math.atan2(camPos.x - target.position.x, camPos.z - target.position.z);
+            faceQuat = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), yaw);
+        }
+        const facePos = approachPosition(startPos, camPos, translate);
+
+        const duration = values.time || 0;
+        // A step that isn't authored takes no time.
+        const turn = (from, to) => this.tween(values.face_rotate_to_me ? duration : 0,
+            t => target.quaternion.slerpQuaternions(from, to, t));
+        const move = (from, to) => this.tween(translate === FACE_TRANSLATE.NONE ? 0 : duration,
+            t => target.position.lerpVectors(from, to, t));
+        const both = async (quats, positions) => {
+            if (values.trans_rot_sync) {
+                await Promise.all([turn(...quats), move(...positions)]);
+            } else {
+                await turn(...quats);
+                await move(...positions);
+            }
+        };
+
+        await both([startQuat, faceQuat], [startPos, facePos]);
+        if (values.face_is_return) {
+            await this.wait(values.face_wait_time || 0);
+            await both([faceQuat, startQuat], [facePos, startPos]);
+        }
+    }
+
+    wait(seconds) {
+        return this.tween(seconds, null);
+    }
+
+    // Frame-driven so delays and fades pause together with the render loop.
+    tween(duration, onStep) {
+        return new Promise(resolve => {
+            if (!duration || duration <= 0) {
+                if (onStep) onStep(1);
+                resolve();
+                return;
+            }
+            this.tasks.push({ elapsed: 0, duration, onStep, resolve });
+        });
+    }
+
+    update(delta, camera) {
+        if (camera) this.camera = camera;
+        if (this.tasks.length === 0) return;
+
+        const finished = [];
+        this.tasks.forEach(task => {
+            task.elapsed += delta;
+            const t = Math.min(task.elapsed / task.duration, 1);
+            if (task.onStep) task.onStep(t);
+            if (t >= 1) finished.push(task);
+        });
+        if (finished.length === 0) return;
+
+        this.tasks = this.tasks.filter(task => !finished.includes(task));
+        finished.forEach(task => task.resolve());
+    }
+}
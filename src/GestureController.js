@@ -0,0 +1,255 @@
+import * as THREE from 'three';
+
+export const DEFAULT_GESTURE_OPTIONS = {
+    // Pinch scale limits, relative to the authored scale.
+    minScale: 0.25,
+    maxScale: 4,
+    dragThresholdPx: 10,
+    // Unlocked pinch scales each axis by the finger span along it; spans are
+    // floored so a nearly vertical pinch doesn't blow up the width.
+    minSpanPx: 40,
+    // XR `select` fires for the same touch; taps this soon after a drag,
+    // pinch or twist are swallowed.
+    tapSuppressMs: 300
+};
+
+// What the scene allows per object; authoring mode overrides it. Dragging is
+// its own opt-in (`is_allow_drag`), not implied by pinch or rotate.
+export function objectPermissions(object) {
+    const fields = (object.userData.model && object.userData.model.fields) || {};
+    return {
+        drag: !!fields.is_allow_drag,
+        pinch: !!fields.is_allow_pinch,
+        rotate: !!fields.is_allow_rotate,
+        scaleLock: !!fields.is_size_scale_lock
+    };
+}
+
+// Width/height factors for a pinch between two pointer pairs. With the
+// aspect locked (`is_size_scale_lock`) both follow the finger distance.
+export function pinchFactors(start, current, locked, minSpanPx = DEFAULT_GESTURE_OPTIONS.minSpanPx) {
+    if (locked) {
+        const factor = distance(current) / Math.max(distance(start), 1);
+        return { x: factor, y: factor };
+    }
+    const span = (pair, axis) => Math.max(Math.abs(pair[0][axis] - pair[1][axis]), minSpanPx);
+    return { x: span(current, 'x') / span(start, 'x'), y: span(current, 'y') / span(start, 'y') };
+}
+
+// Clockwise twist on screen (y down) in radians, wrapped to [-PI, PI].
+export function twistAngle(start, current) {
+    const delta = angle(current) - angle(start);
+    return Math.atan2(Math.sin(delta), Math.cos(delta));
+}
+
+function distance(pair) {
+    return Math.hypot(pair[1].x - pair[0].x, pair[1].y - pair[0].y);
+}
+
+function angle(pair) {
+    return Math.atan2(pair[1].y - pair[0].y, pair[1].x - pair[0].x);
+}
+
+// Drag, pinch-scale and twist-rotate on scene objects from screen touches.
+// Pointer events reach the page through the WebXR dom-overlay, which gives
+// the screen positions that XR transient input sources don't; taps keep
+// going through the XR controller `select`. `element` should be the render
+// canvas: it gets `touch-action: none`, so a pinch on it never zooms the page.
+export class GestureController {
+    constructor({ element, camera, sceneManager, enabled, permissions, pickAll, logger, options = {} }) {
+        this.element = element;
+        this.camera = camera;
+        this.sceneManager = sceneManager;
+        this.enabled = enabled || (() => true);
+        this.permissions = permissions || objectPermissions;
+        // When true, any displayed object can be picked, not only interactive ones.
+        this.pickAll = pickAll || (() => false);
+        this.log = logger || console.log;
+        this.options = { ...DEFAULT_GESTURE_OPTIONS, ...options };
+        this.now = options.now || (() => performance.now());
+
+        this.pointers = new Map(); // pointerId -> { x, y }
+        this.gesture = null;
+        this.lastManipulationEnd = -Infinity;
+        this.raycaster = new THREE.Raycaster();
+        this.plane = new THREE.Plane();
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        if (element.style) element.style.touchAction = 'none';
+        // Capture phase: claim the touch before other handlers (e.g. the simulator's drag-to-look).
+        element.addEventListener('pointerdown', this.onPointerDown, { capture: true });
+        element.addEventListener('pointermove', this.onPointerMove);
+        element.addEventListener('pointerup', this.onPointerUp);
+        element.addEventListener('pointercancel', this.onPointerUp);
+    }
+
+    dispose() {
+        this.element.removeEventListener('pointerdown', this.onPointerDown, { capture: true });
+        this.element.removeEventListener('pointermove', this.onPointerMove);
+        this.element.removeEventListener('pointerup', this.onPointerUp);
+        this.element.removeEventListener('pointercancel', this.onPointerUp);
+    }
+
+    // True while (or just after) a touch manipulated an object rather than tapped it.
+    get suppressTap() {
+        return (this.gesture && this.gesture.manipulated) || this.now() - this.lastManipulationEnd < this.options.tapSuppressMs;
+    }
+
+    onPointerDown(e) {
+        if (!this.enabled() || isUiElement(e.target)) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.pointers.size === 1) {
+            const hit = this.pick(e.clientX, e.clientY);
+            const target = hit && this.isManipulable(hit) ? hit : null;
+            this.sceneManager.selectObject(target);
+            this.gesture = { target, hitSomething: !!hit, manipulated: false, startTime: this.now() };
+            this.beginDrag(e.clientX, e.clientY);
+        } else if (this.pointers.size === 2 && this.gesture) {
+            if (!this.gesture.target) {
+                // Second finger first: pick between the two.
+                const [a, b] = this.pointerPair();
+                const hit = this.pick((a.x + b.x) / 2, (a.y + b.y) / 2);
+                if (hit && this.isManipulable(hit)) {
+                    this.gesture.target = hit;
+                    this.sceneManager.selectObject(hit);
+                }
+            }
+            this.beginTwoFinger();
+        }
+        if (this.gesture && this.gesture.target) e.preventDefault();
+    }
+
+    onPointerMove(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer || !this.gesture) return;
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+
+        const gesture = this.gesture;
+        if (!gesture.target) return;
+        if (this.pointers.size >= 2 && gesture.twoFinger) {
+            this.updateTwoFinger();
+        } else if (this.pointers.size === 1 && gesture.drag) {
+            this.updateDrag(pointer);
+        }
+    }
+
+    onPointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.delete(e.pointerId);
+        const gesture = this.gesture;
+        if (!gesture) return;
+
+        if (this.pointers.size === 1) {
+            // Back to one finger: continue as a drag from where it is now, without a jump.
+            const [remaining] = this.pointers.values();
+            gesture.twoFinger = null;
+            this.beginDrag(remaining.x, remaining.y);
+        } else if (this.pointers.size === 0) {
+            if (gesture.manipulated) {
+                this.lastManipulationEnd = this.now();
+                const target = gesture.target;
+                this.log(`Gesture on ${target.userData.name}: scale ${target.scale.x.toFixed(2)}, yaw ${THREE.MathUtils.radToDeg(target.rotation.y).toFixed(0)}°`);
+            } else if (!gesture.hitSomething) {
+                // A tap on empty space drops the selection.
+                this.sceneManager.selectObject(null);
+            }
+            this.gesture = null;
+        }
+    }
+
+    isManipulable(object) {
+        const permissions = this.permissions(object);
+        return permissions.drag || permissions.pinch || permissions.rotate;
+    }
+
+    pick(x, y) {
+        const hit = this.sceneManager.raycastFromCamera(this.toNdc(x, y), this.camera, { all: this.pickAll() });
+        return hit ? this.sceneManager.getRootObject(hit) : null;
+    }
+
+    toNdc(x, y) {
+        const rect = this.element.getBoundingClientRect();
+        return new THREE.Vector2(((x - rect.left) / rect.width) * 2 - 1, -((y - rect.top) / rect.height) * 2 + 1);
+    }
+
+    pointerPair() {
+        const [a, b] = this.pointers.values();
+        return [{ x: a.x, y: a.y }, { x: b.x, y: b.y }];
+    }
+
+    // Drags move the object over the horizontal plane at its current height.
+    beginDrag(x, y) {
+        const target = this.gesture.target;
+        if (!target || !this.permissions(target).drag) {
+            this.gesture.drag = null;
+            return;
+        }
+        const worldPosition = target.getWorldPosition(new THREE.Vector3());
+        this.plane.setFromNormalAndCoplanarPoint(new THREE.Vector3(0, 1, 0), worldPosition);
+        const start = this.projectToPlane(x, y);
+        this.gesture.drag = start ? { x, y, start, position: target.position.clone(), active: false } : null;
+    }
+
+    updateDrag(pointer) {
+        const drag = this.gesture.drag;
+        if (!drag.active && Math.hypot(pointer.x - drag.x, pointer.y - drag.y) < this.options.dragThresholdPx) return;
+        const point = this.projectToPlane(pointer.x, pointer.y);
+        if (!point) return;
+        drag.active = true;
+        this.gesture.manipulated = true;
+
+        const target = this.gesture.target;
+        const parent = target.parent;
+        const from = parent.worldToLocal(drag.start.clone());
+        const to = parent.worldToLocal(point);
+        target.position.copy(drag.position).add(to.sub(from));
+    }
+
+    projectToPlane(x, y) {
+        this.raycaster.setFromCamera(this.toNdc(x, y), this.camera);
+        return this.raycaster.ray.intersectPlane(this.plane, new THREE.Vector3());
+    }
+
+    beginTwoFinger() {
+        const target = this.gesture.target;
+        if (!target) return;
+        if (!target.userData.authoredScale) target.userData.authoredScale = target.scale.clone();
+        this.gesture.drag = null;
+        this.gesture.twoFinger = {
+            pair: this.pointerPair(),
+            scale: target.scale.clone(),
+            quaternion: target.quaternion.clone()
+        };
+    }
+
+    updateTwoFinger() {
+        const { target, twoFinger } = this.gesture;
+        const permissions = this.permissions(target);
+        const pair = this.pointerPair();
+        const opts = this.options;
+
+        if (permissions.pinch) {
+            const factors = pinchFactors(twoFinger.pair, pair, permissions.scaleLock, opts.minSpanPx);
+            const authored = target.userData.authoredScale;
+            const clampAxis = (axis, factor) => THREE.MathUtils.clamp(
+                twoFinger.scale[axis] * factor, authored[axis] * opts.minScale, authored[axis] * opts.maxScale);
+            // Depth follows width so models don't flatten.
+            target.scale.set(clampAxis('x', factors.x), clampAxis('y', factors.y), clampAxis('z', factors.x));
+        }
+
+        if (permissions.rotate) {
+            // A clockwise twist on screen turns the object clockwise seen from above.
+            const yaw = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), -twistAngle(twoFinger.pair, pair));
+            target.quaternion.copy(yaw).multiply(twoFinger.quaternion);
+        }
+        this.gesture.manipulated = true;
+    }
+}
+
+function isUiElement(element) {
+    return !!(element && element.closest && element.closest('button, input, select, textarea, a, iframe, [role="button"]'));
+}
@@ -0,0 +1,50 @@
+import { CATALOG as zhTW } from './locales/zh-TW.js';
+import { CATALOG as en } from './locales/en.js';
+import { CATALOG as ja } from './locales/ja.js';
+
+export const LANGUAGES = ['zh-TW', 'en', 'ja'];
+export const DEFAULT_LANGUAGE = 'zh-TW';
+export const CATALOGS = { 'zh-TW': zhTW, en, ja };
+
+// First supported language in a preference list (navigator.languages).
+// Any Chinese maps to zh-TW, the only Chinese catalog; visitors whose
+// languages we don't carry get English.
+export function detectLanguage(preferences = []) {
+    for (const tag of preferences) {
+        const lower = String(tag).toLowerCase();
+        const base = lower.split('-')[0];
+        if (base === 'zh') return 'zh-TW';
+        const match = LANGUAGES.find(language => language.toLowerCase() === lower || language.toLowerCase() === base);
+        if (match) return match;
+    }
+    return 'en';
+}
+
+// UI strings by key from the catalogs, with `{name}` placeholders. Missing
+// keys fall back to the zh-TW catalog, then to the key itself.
+export class I18n {
+    constructor({ language = DEFAULT_LANGUAGE, catalogs = CATALOGS } = {}) {
+        this.catalogs = catalogs;
+        this.language = catalogs[language] ? language : DEFAULT_LANGUAGE;
+    }
+
+    setLanguage(language) {
+        this.language = this.catalogs[language] ? language : DEFAULT_LANGUAGE;
+    }
+
+    t(key, params = {}) {
+        const catalog = this.catalogs[this.language] || {};
+        const template = catalog[key] !== undefined ? catalog[key]
+            : (this.catalogs[DEFAULT_LANGUAGE] || {})[key] !== undefined ? this.catalogs[DEFAULT_LANGUAGE][key]
+                : key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+    }
+
+    // Static markup: `data-i18n` sets the text, `data-i18n-title` / `data-i18n-alt` the attribute.
+    apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => { element.textContent = this.t(element.dataset.i18n); });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => { element.title = this.t(element.dataset.i18nTitle); });
+        root.querySelectorAll('[data-i18n-alt]').forEach(element => { element.alt = this.t(element.dataset.i18nAlt); });
+        if (root.documentElement) root.documentElement.lang = this.language;
+    }
+}
@@ -0,0 +1,77 @@
+import * as THREE from 'three';
+
+const tempMatrix = new THREE.Matrix4();
+
+// Draws many static copies of one glTF scene: an InstancedMesh per source
+// mesh, sharing its geometry and material. Instances are added with a matrix
+// in the parent's space; hidden ones are compacted out of the draw count.
+export class InstanceBatch {
+    constructor(source, capacity) {
+        this.group = new THREE.Group();
+        this.instances = []; // { matrix, visible, owner }
+        this.drawn = []; // instance per draw slot, for mapping raycast instanceIds back
+        this.meshes = [];
+        this.dirty = true;
+
+        source.updateMatrixWorld(true);
+        const rootInverse = source.matrixWorld.clone().invert();
+        source.traverse(child => {
+            if (!child.isMesh) return;
+            const mesh = new THREE.InstancedMesh(child.geometry, child.material, capacity);
+            mesh.name = child.name;
+            mesh.count = 0;
+            // The mesh's transform inside the glTF scene, applied before each instance matrix.
+            mesh.userData.sourceMatrix = rootInverse.clone().multiply(child.matrixWorld);
+            mesh.userData.batch = this;
+            this.meshes.push(mesh);
+            this.group.add(mesh);
+        });
+    }
+
+    // owner: whatever a raycast hit on this instance should resolve to.
+    add(matrix, owner = null) {
+        this.instances.push({ matrix: matrix.clone(), visible: true, owner });
+        this.dirty = true;
+        return this.instances.length - 1;
+    }
+
+    setMatrix(index, matrix) {
+        const instance = this.instances[index];
+        if (!instance || instance.matrix.equals(matrix)) return;
+        instance.matrix.copy(matrix);
+        this.dirty = true;
+    }
+
+    ownerAt(instanceId) {
+        const instance = this.drawn[instanceId];
+        return instance ? instance.owner : null;
+    }
+
+    setVisible(index, visible) {
+        const instance = this.instances[index];
+        if (!instance || instance.visible === visible) return;
+        instance.visible = visible;
+        this.dirty = true;
+    }
+
+    get visibleCount() {
+        return this.instances.filter(instance => instance.visible).length;
+    }
+
+    // Writes the instance matrices; cheap to call every frame when nothing changed.
+    commit() {
+        if (!this.dirty) return;
+        this.dirty = false;
+        this.drawn = this.instances.filter(instance => instance.visible);
+        this.meshes.forEach(mesh => {
+            this.drawn.forEach((instance, slot) => {
+                tempMatrix.multiplyMatrices(instance.matrix, mesh.userData.sourceMatrix);
+                mesh.setMatrixAt(slot, tempMatrix);
+            });
+            mesh.count = this.drawn.length;
+            mesh.instanceMatrix.needsUpdate = true;
+            // Frustum culling uses the bounds of the visible instances.
+            mesh.computeBoundingSphere();
+        });
+    }
+}
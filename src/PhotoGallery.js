@@ -0,0 +1,124 @@
+import { I18n } from './I18n.js';
+import { downloadBlob } from './Download.js';
+
+const STRIP_SIZE = 4;
+const defaultI18n = new I18n();
+
+// Drives the snapshot UI scaffolded in index.html: the thumbnail strip in the
+// runtime UI, the full-gallery grid and the preview modal with save / share.
+export class PhotoGallery {
+    constructor({ store, elements, logger, t }) {
+        this.store = store;
+        this.el = elements;
+        this.log = logger || console.log;
+        this.t = t || ((key) => defaultI18n.t(key));
+        this.photos = [];
+        this.urls = new Map();
+        this.current = null;
+
+        this.on(this.el.closeFullGallery, () => this.closeFullGallery());
+        this.on(this.el.closePreview, () => this.closePreview());
+        this.on(this.el.closePreviewBtn, () => this.closePreview());
+        this.on(this.el.savePhoto, () => this.current && this.save(this.current));
+        this.on(this.el.sharePhoto, () => this.current && this.share(this.current));
+    }
+
+    on(element, fn) {
+        if (element) element.addEventListener('click', fn);
+    }
+
+    load() {
+        return this.store.list()
+            .then(photos => {
+                this.photos = photos;
+                this.renderStrip();
+                if (photos.length > 0) this.log(`Gallery: ${photos.length} saved photos`);
+            })
+            .catch(e => this.log('Gallery unavailable: ' + e));
+    }
+
+    add(blob) {
+        return this.store.add(blob).then(photo => {
+            this.photos.unshift(photo);
+            this.renderStrip();
+            return photo;
+        });
+    }
+
+    urlFor(photo) {
+        if (!this.urls.has(photo.id)) this.urls.set(photo.id, URL.createObjectURL(photo.blob));
+        return this.urls.get(photo.id);
+    }
+
+    thumbnail(photo) {
+        const img = document.createElement('img');
+        img.className = 'gallery-thumb';
+        img.src = this.urlFor(photo);
+        img.alt = new Date(photo.createdAt).toLocaleString();
+        img.addEventListener('click', () => this.openPreview(photo));
+        return img;
+    }
+
+    renderStrip() {
+        const strip = this.el.strip;
+        if (!strip) return;
+        strip.innerHTML = '';
+        strip.style.display = this.photos.length > 0 ? 'flex' : 'none';
+        this.photos.slice(0, STRIP_SIZE).forEach(photo => strip.appendChild(this.thumbnail(photo)));
+
+        const more = document.createElement('div');
+        more.className = 'gallery-more';
+        more.innerText = this.photos.length > STRIP_SIZE ? `+${this.photos.length - STRIP_SIZE}` : this.t('gallery.all');
+        more.addEventListener('click', () => this.openFullGallery());
+        strip.appendChild(more);
+    }
+
+    openFullGallery() {
+        const grid = this.el.fullGalleryGrid;
+        if (grid) {
+            grid.innerHTML = '';
+            this.photos.forEach(photo => grid.appendChild(this.thumbnail(photo)));
+        }
+        if (this.el.fullGallery) this.el.fullGallery.style.display = 'flex';
+    }
+
+    closeFullGallery() {
+        if (this.el.fullGallery) this.el.fullGallery.style.display = 'none';
+    }
+
+    openPreview(photo) {
+        this.current = photo;
+        if (this.el.previewImg) this.el.previewImg.src = this.urlFor(photo);
+        if (this.el.previewModal) this.el.previewModal.style.display = 'flex';
+    }
+
+    closePreview() {
+        this.current = null;
+        if (this.el.previewModal) this.el.previewModal.style.display = 'none';
+    }
+
+    fileName(photo) {
+        const stamp = new Date(photo.createdAt).toISOString().replace(/[:.]/g, '-');
+        return `ar-photo-${stamp}.jpg`;
+    }
+
+    save(photo) {
+        const filename = this.fileName(photo);
+        downloadBlob(filename, photo.blob, photo.type || 'image/jpeg');
+        this.log(`Photo saved: ${filename}`);
+    }
+
+    // Web Share with files where supported (mobile browsers); otherwise fall back to a download.
+    share(photo) {
+        const file = new File([photo.blob], this.fileName(photo), { type: photo.type || 'image/jpeg' });
+        if (!navigator.canShare || !navigator.canShare({ files: [file] })) {
+            this.log('File sharing not supported, downloading instead');
+            this.save(photo);
+            return Promise.resolve();
+        }
+        return navigator.share({ files: [file], title: this.t('photo.shareTitle') })
+            .catch(e => {
+                if (e.name !== 'AbortError') this.log('Share failed: ' + e);
+            });
+    }
+}
@@ -0,0 +1,51 @@
+const DB_NAME = 'webxr-photos';
+const DB_VERSION = 1;
+const STORE = 'photos';
+
+// Snapshot blobs kept in IndexedDB so the gallery survives reloads (the page
+// reloads whenever the XR session ends).
+export class PhotoStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('createdAt', 'createdAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Resolves with { id, blob, createdAt }.
+    add(blob) {
+        const photo = { blob, type: blob.type, createdAt: Date.now() };
+        return this.request('readwrite', store => store.add(photo)).then(id => ({ ...photo, id }));
+    }
+
+    get(id) {
+        return this.request('readonly', store => store.get(id));
+    }
+
+    // Newest first.
+    list() {
+        return this.request('readonly', store => store.index('createdAt').getAll())
+            .then(photos => photos.reverse());
+    }
+
+    request(mode, fn) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const request = fn(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+        }));
+    }
+}
@@ -0,0 +1,161 @@
+import * as THREE from 'three';
+
+export const DEFAULT_FUSION_OPTIONS = {
+    minSamples: 8,
+    // Position outliers: farther than madK robust sigmas (and minPositionGate m) from the median.
+    madK: 3,
+    minPositionGate: 0.01,
+    // Rotation outliers: farther than maxAngleDeg (weighted) from the first-pass mean.
+    maxAngleDeg: 5,
+    // Pitch/roll are discarded by gravity alignment at lock time, so their
+    // jitter counts for less than yaw in gating and residuals.
+    axisWeights: { yaw: 1, pitch: 0.3, roll: 0.3 },
+    // Lock is accepted only when the inlier spread stays below these.
+    maxPositionSpread: 0.03,
+    maxRotationSpreadDeg: 2,
+    minInlierRatio: 0.6
+};
+
+// Robustly fuses a buffer of { position, quaternion } marker poses into one pose.
+export function fusePoses(samples, options = {}) {
+    const opts = { ...DEFAULT_FUSION_OPTIONS, ...options, axisWeights: { ...DEFAULT_FUSION_OPTIONS.axisWeights, ...(options.axisWeights || {}) } };
+    const total = samples.length;
+    if (total < opts.minSamples) {
+        return { accepted: false, reason: `only ${total} samples`, total, inliers: total };
+    }
+
+    // 1. Position gating: median / MAD on distance to the per-axis median.
+    const median = new THREE.Vector3(
+        medianOf(samples.map(s => s.position.x)),
+        medianOf(samples.map(s => s.position.y)),
+        medianOf(samples.map(s => s.position.z))
+    );
+    const distances = samples.map(s => s.position.distanceTo(median));
+    const medDist = medianOf(distances);
+    const mad = medianOf(distances.map(d => Math.abs(d - medDist)));
+    const positionGate = Math.max(medDist + opts.madK * 1.4826 * mad, opts.minPositionGate);
+    let inliers = samples.filter((s, i) => distances[i] <= positionGate);
+
+    // 2. Rotation gating: weighted angular distance to the first-pass mean.
+    const reference = averageQuaternions(inliers.map(s => s.quaternion));
+    const maxAngle = THREE.MathUtils.degToRad(opts.maxAngleDeg);
+    inliers = inliers.filter(s => weightedAngle(reference, s.quaternion, opts.axisWeights) <= maxAngle);
+
+    if (inliers.length === 0 || inliers.length / total < opts.minInlierRatio) {
+        return { accepted: false, reason: `inliers ${inliers.length}/${total}`, total, inliers: inliers.length };
+    }
+
+    const position = new THREE.Vector3();
+    inliers.forEach(s => position.add(s.position));
+    position.divideScalar(inliers.length);
+    const quaternion = averageQuaternions(inliers.map(s => s.quaternion));
+
+    // 3. Residual spread of the inliers around the fused pose (RMS).
+    const positionSpread = Math.sqrt(inliers.reduce((sum, s) => sum + s.position.distanceToSquared(position), 0) / inliers.length);
+    const rotationSpreadDeg = THREE.MathUtils.radToDeg(Math.sqrt(
+        inliers.reduce((sum, s) => sum + weightedAngle(quaternion, s.quaternion, opts.axisWeights) ** 2, 0) / inliers.length
+    ));
+
+    let reason = null;
+    if (positionSpread > opts.maxPositionSpread) reason = `position spread ${(positionSpread * 100).toFixed(1)}cm`;
+    else if (rotationSpreadDeg > opts.maxRotationSpreadDeg) reason = `rotation spread ${rotationSpreadDeg.toFixed(2)}°`;
+
+    return {
+        accepted: reason === null,
+        reason,
+        position,
+        quaternion,
+        total,
+        inliers: inliers.length,
+        positionSpread,
+        rotationSpreadDeg
+    };
+}
+
+// Markley's method: the average is the dominant eigenvector of sum(q qᵀ),
+// which handles the q / -q ambiguity that incremental slerp gets wrong.
+export function averageQuaternions(quaternions) {
+    if (quaternions.length === 0) return new THREE.Quaternion();
+
+    const m = [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
+    quaternions.forEach(q => {
+        const v = [q.x, q.y, q.z, q.w];
+        for (let r = 0; r < 4; r++) {
+            for (let c = 0; c < 4; c++) m[r][c] += v[r] * v[c];
+        }
+    });
+
+    // Power iteration; the matrix is positive semi-definite so it converges
+    // to the largest eigenvalue.
+    const first = quaternions[0];
+    let v = [first.x, first.y, first.z, first.w];
+    for (let iter = 0; iter < 32; iter++) {
+        const next = [0, 0, 0, 0];
+        for (let r = 0; r < 4; r++) {
+            for (let c = 0; c < 4; c++) next[r] += m[r][c] * v[c];
+        }
+        const len = Math.hypot(next[0], next[1], next[2], next[3]);
+        if (len < 1e-12) break;
+        v = next.map(x => x / len);
+    }
+    return new THREE.Quaternion(v[0], v[1], v[2], v[3]).normalize();
+}
+
+function weightedAngle(reference, q, weights) {
+    const delta = reference.clone().invert().multiply(q);
+    if (delta.w < 0) delta.set(-delta.x, -delta.y, -delta.z, -delta.w);
+    const euler = new THREE.Euler().setFromQuaternion(delta, 'YXZ');
+    return Math.hypot(euler.y * weights.yaw, euler.x * weights.pitch, euler.z * weights.roll);
+}
+
+function medianOf(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+export const DEFAULT_STABILIZER_OPTIONS = {
+    // Sliding window of marker poses fed to fusePoses.
+    bufferSize: 30,
+    // Never lock before minMs; restart the window after timeoutMs without an accepted fuse.
+    minMs: 1500,
+    timeoutMs: 6000,
+    tickMs: 50,
+    fusion: {}
+};
+
+// The stabilization window shared by the live handoff and TraceReplay: samples
+// are pushed per MindAR frame and evaluate() is polled every tickMs.
+export class PoseStabilizer {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_STABILIZER_OPTIONS, ...options };
+        this.samples = [];
+        this.startTime = 0;
+    }
+
+    reset(now) {
+        this.samples = [];
+        this.startTime = now;
+    }
+
+    push(sample) {
+        this.samples.push(sample);
+        if (this.samples.length > this.options.bufferSize) this.samples.shift();
+    }
+
+    // { status: 'collecting' | 'holding' | 'restarted' | 'accepted', progress, result }
+    evaluate(now) {
+        const elapsed = now - this.startTime;
+        const progress = Math.min(elapsed / this.options.minMs, 1);
+        if (elapsed < this.options.minMs) return { status: 'collecting', progress, result: null };
+
+        const result = fusePoses(this.samples, this.options.fusion);
+        if (result.accepted) return { status: 'accepted', progress, result };
+        if (elapsed > this.options.timeoutMs) {
+            this.reset(now);
+            return { status: 'restarted', progress, result };
+        }
+        return { status: 'holding', progress, result };
+    }
+}
@@ -0,0 +1,134 @@
+// How the experience runs on this device:
+// - HANDOFF: MindAR finds the sign, then WebXR takes over with world-locked content.
+// - MINDAR_ONLY: no immersive-ar; content rides on the tracked sign, as long as it is in view.
+// - VIEWER: no usable camera; the scene is shown in a plain 3D viewer.
+// - UNSUPPORTED: no WebGL, nothing can be drawn.
+export const EXPERIENCE_MODE = {
+    HANDOFF: 'handoff',
+    MINDAR_ONLY: 'mindar-only',
+    VIEWER: 'viewer',
+    UNSUPPORTED: 'unsupported'
+};
+
+// Scene textures are authored up to this size.
+export const MIN_TEXTURE_SIZE = 4096;
+
+// Which WebXR modules the browser ships. isSessionSupported only answers for
+// the session mode; optional features are only known once a session runs.
+export function detectXRFeatures(scope = globalThis) {
+    const session = scope.XRSession && scope.XRSession.prototype;
+    return {
+        hitTest: typeof scope.XRHitTestSource !== 'undefined' || !!(session && 'requestHitTestSource' in session),
+        anchors: typeof scope.XRAnchor !== 'undefined',
+        domOverlay: !!(session && 'domOverlayState' in session)
+    };
+}
+
+// 'granted' | 'prompt' | 'denied' | 'unavailable', without prompting.
+export async function checkCamera(env) {
+    const nav = env.navigator || {};
+    const media = nav.mediaDevices;
+    if (env.isSecureContext === false || !media || !media.getUserMedia) return 'unavailable';
+
+    if (media.enumerateDevices) {
+        try {
+            const devices = await media.enumerateDevices();
+            if (!devices.some(device => device.kind === 'videoinput')) return 'unavailable';
+        } catch (e) {
+            // Can't tell; getUserMedia decides.
+        }
+    }
+    if (nav.permissions && nav.permissions.query) {
+        try {
+            const status = await nav.permissions.query({ name: 'camera' });
+            if (status.state === 'granted' || status.state === 'denied') return status.state;
+        } catch (e) {
+            // Firefox doesn't know the 'camera' permission name.
+        }
+    }
+    return 'prompt';
+}
+
+export async function checkImmersiveAR(env) {
+    const xr = env.navigator && env.navigator.xr;
+    if (!xr || !xr.isSessionSupported) return false;
+    try {
+        return await xr.isSessionSupported('immersive-ar');
+    } catch (e) {
+        return false;
+    }
+}
+
+// { version: 0 | 1 | 2, maxTextureSize, maxRenderbufferSize }
+export function checkWebGL(env) {
+    const canvas = env.createCanvas ? env.createCanvas() : null;
+    if (!canvas) return { version: 0, maxTextureSize: 0, maxRenderbufferSize: 0 };
+    let gl = canvas.getContext('webgl2');
+    let version = 2;
+    if (!gl) {
+        gl = canvas.getContext('webgl');
+        version = 1;
+    }
+    if (!gl) return { version: 0, maxTextureSize: 0, maxRenderbufferSize: 0 };
+    const limits = {
+        version,
+        maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+        maxRenderbufferSize: gl.getParameter(gl.MAX_RENDERBUFFER_SIZE)
+    };
+    // Browsers cap live contexts; give this one back right away.
+    const lose = gl.getExtension('WEBGL_lose_context');
+    if (lose) lose.loseContext();
+    return limits;
+}
+
+export function browserEnvironment() {
+    return {
+        navigator,
+        isSecureContext: window.isSecureContext,
+        createCanvas: () => document.createElement('canvas'),
+        xrFeatures: detectXRFeatures(window)
+    };
+}
+
+export async function runPreflight(env = browserEnvironment()) {
+    const [camera, immersiveAr] = await Promise.all([checkCamera(env), checkImmersiveAR(env)]);
+    return {
+        camera,
+        immersiveAr,
+        features: env.xrFeatures || { hitTest: false, anchors: false, domOverlay: false },
+        webgl: checkWebGL(env)
+    };
+}
+
+// The mode for a preflight report. `reasons` (catalog keys) say why a richer
+// mode isn't used; `limitations` what the chosen mode does without.
+export function chooseMode(report) {
+    if (!report.webgl.version) {
+        return { mode: EXPERIENCE_MODE.UNSUPPORTED, reasons: ['reason.noWebgl'], limitations: [] };
+    }
+    const limitations = [];
+    if (report.webgl.maxTextureSize < MIN_TEXTURE_SIZE) limitations.push('reason.smallTextures');
+
+    if (report.camera === 'denied' || report.camera === 'unavailable') {
+        const reason = report.camera === 'denied' ? 'reason.cameraDenied' : 'reason.noCamera';
+        return { mode: EXPERIENCE_MODE.VIEWER, reasons: [reason], limitations };
+    }
+    if (!report.immersiveAr) {
+        return { mode: EXPERIENCE_MODE.MINDAR_ONLY, reasons: ['reason.noImmersiveAr'], limitations };
+    }
+    // Each of these has a fallback in the handoff flow.
+    if (!report.features.hitTest) limitations.push('reason.noHitTest');
+    if (!report.features.anchors) limitations.push('reason.noAnchors');
+    if (!report.features.domOverlay) limitations.push('reason.noDomOverlay');
+    return { mode: EXPERIENCE_MODE.HANDOFF, reasons: [], limitations };
+}
+
+// ?mode=handoff|mindar-only|viewer forces a mode (for testing the fallbacks
+// on a capable phone); it can only step down from what the device supports.
+export function applyModeOverride(result, requested) {
+    const order = [EXPERIENCE_MODE.HANDOFF, EXPERIENCE_MODE.MINDAR_ONLY, EXPERIENCE_MODE.VIEWER];
+    const from = order.indexOf(result.mode);
+    const to = order.indexOf(requested);
+    if (from === -1 || to <= from) return result;
+    return { ...result, mode: requested, reasons: [...result.reasons, 'reason.forced'] };
+}
@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+import { XRCameraImage } from './XRCameraImage.js';
+
+const SAMPLE_COUNT = 5;
+const CAPTURE_TIMEOUT_MS = 8000;
+const CAPTURE_EVERY_N_FRAMES = 6;
+
+// MindAR's 3x3 camera matrix (pixels, y down) for an XR camera image of
+// cameraWidth x cameraHeight seen through `projectionMatrix` (the view's
+// column-major GL projection), after readCameraImage scales and center-crops
+// it to inputWidth x inputHeight.
+export function xrProjectionTransform(projectionMatrix, cameraWidth, cameraHeight, inputWidth, inputHeight) {
+    const p = projectionMatrix;
+    const scale = Math.max(inputWidth / cameraWidth, inputHeight / cameraHeight);
+    const offsetX = (inputWidth - cameraWidth * scale) / 2;
+    const offsetY = (inputHeight - cameraHeight * scale) / 2;
+    const fx = p[0] * cameraWidth / 2 * scale;
+    const fy = p[5] * cameraHeight / 2 * scale;
+    const cx = (1 - p[8]) * cameraWidth / 2 * scale + offsetX;
+    const cy = (1 + p[9]) * cameraHeight / 2 * scale + offsetY;
+    return [[fx, 0, cx], [0, fy, cy], [0, 0, 1]];
+}
+
+// Re-acquires the marker during RUNNING by feeding WebXR raw camera frames
+// (the 'camera-access' feature) through the MindAR controller kept from the
+// scanning phase. Each sample pairs the marker matrix with the viewer pose of
+// the frame it was detected in. The controller was set up for the MindAR
+// video; its matcher is rebuilt with the XR camera's intrinsics (which needs
+// the .mind file again, from `targetSrc`) so poses come out in XR camera space.
+export class Relocalizer {
+    constructor({ renderer, controller, postMatrices, targetSrc, logger }) {
+        this.renderer = renderer;
+        this.controller = controller;
+        this.postMatrices = postMatrices || [];
+        this.log = logger || console.log;
+        this.targetBuffer = null;
+        this.projectionKey = null;
+        if (targetSrc) {
+            fetch(targetSrc)
+                .then(res => {
+                    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                    return res.arrayBuffer();
+                })
+                .then(buffer => { this.targetBuffer = buffer; })
+                .catch(err => this.log(`Re-anchor: targets unavailable: ${err}`));
+        }
+
+        this.cameraImage = new XRCameraImage(renderer);
+        this.inputCanvas = document.createElement('canvas');
+        this.inputCanvas.width = controller ? controller.inputWidth : 0;
+        this.inputCanvas.height = controller ? controller.inputHeight : 0;
+
+        this.capture = null;
+        this.frameCount = 0;
+    }
+
+    static isSupported(session) {
+        return XRCameraImage.isSupported(session);
+    }
+
+    get active() {
+        return this.capture !== null;
+    }
+
+    // Resolves with up to SAMPLE_COUNT { targetIndex, markerMatrix, viewerPosition, viewerQuaternion }.
+    start(targetIndices) {
+        if (this.capture) return this.capture.promise;
+        if (!this.controller) return Promise.reject(new Error('MindAR controller unavailable'));
+
+        const capture = { targetIndices, samples: [], busy: false };
+        capture.promise = new Promise((resolve) => {
+            capture.resolve = resolve;
+            capture.timer = setTimeout(() => this.finish(), CAPTURE_TIMEOUT_MS);
+        });
+        this.capture = capture;
+        this.frameCount = 0;
+        this.log('Re-anchor: scanning for marker...');
+        return capture.promise;
+    }
+
+    cancel() {
+        this.finish();
+    }
+
+    finish() {
+        const capture = this.capture;
+        if (!capture) return;
+        clearTimeout(capture.timer);
+        this.capture = null;
+        capture.resolve(capture.samples);
+    }
+
+    // Call from the XR animation loop, before rendering.
+    onXRFrame(frame, referenceSpace) {
+        const capture = this.capture;
+        if (!capture || capture.busy) return;
+        if (++this.frameCount % CAPTURE_EVERY_N_FRAMES !== 0) return;
+
+        const viewerPose = frame.getViewerPose(referenceSpace);
+        if (!viewerPose || viewerPose.emulatedPosition) return;
+        const view = viewerPose.views.find(v => v.camera);
+        if (!view || !this.useCameraProjection(view)) return;
+
+        if (!this.readCameraImage(frame.session, view.camera)) return;
+
+        const viewerPosition = new THREE.Vector3().copy(viewerPose.transform.position);
+        const viewerQuaternion = new THREE.Quaternion().copy(viewerPose.transform.orientation);
+
+        capture.busy = true;
+        this.detect(capture.targetIndices)
+            .then(result => {
+                if (!result || this.capture !== capture) return;
+                capture.samples.push({ ...result, viewerPosition, viewerQuaternion });
+                this.log(`Re-anchor: sample ${capture.samples.length}/${SAMPLE_COUNT} (target ${result.targetIndex})`);
+                if (capture.samples.length >= SAMPLE_COUNT) this.finish();
+            })
+            .catch(err => this.log(`Re-anchor detect failed: ${err}`))
+            .finally(() => { capture.busy = false; });
+    }
+
+    // Points the matcher at this view's camera intrinsics; re-importing the
+    // targets is what sends a new projection to MindAR's worker. False until
+    // the targets are loaded.
+    useCameraProjection(view) {
+        if (!this.targetBuffer) return false;
+        const transform = xrProjectionTransform(view.projectionMatrix, view.camera.width, view.camera.height,
+            this.inputCanvas.width, this.inputCanvas.height);
+        const key = transform.flat().map(v => v.toFixed(2)).join(',');
+        if (key === this.projectionKey) return true;
+        this.controller.projectionTransform = transform;
+        this.controller.addImageTargetsFromBuffer(this.targetBuffer);
+        this.projectionKey = key;
+        this.log(`Re-anchor: camera ${view.camera.width}x${view.camera.height}, f ${transform[0][0].toFixed(1)}px`);
+        return true;
+    }
+
+    // Crops the camera image (only valid during this XR frame) into a canvas
+    // sized for the MindAR controller.
+    readCameraImage(session, camera) {
+        const raw = this.cameraImage.read(session, camera);
+        if (!raw) return false;
+        const width = raw.width;
+        const height = raw.height;
+
+        // GL rows are bottom-up; flip while center-cropping to the controller's aspect.
+        const ctx = this.inputCanvas.getContext('2d');
+        const scale = Math.max(this.inputCanvas.width / width, this.inputCanvas.height / height);
+        const drawW = width * scale;
+        const drawH = height * scale;
+        ctx.save();
+        ctx.translate(0, this.inputCanvas.height);
+        ctx.scale(1, -1);
+        ctx.drawImage(raw, (this.inputCanvas.width - drawW) / 2, (this.inputCanvas.height - drawH) / 2, drawW, drawH);
+        ctx.restore();
+        return true;
+    }
+
+    async detect(targetIndices) {
+        const { featurePoints } = await this.controller.detect(this.inputCanvas);
+        for (const targetIndex of targetIndices) {
+            const { modelViewTransform } = await this.controller.match(featurePoints, targetIndex);
+            if (!modelViewTransform) continue;
+
+            // Same composition MindARThree applies to anchor.group.matrix.
+            const markerMatrix = new THREE.Matrix4();
+            markerMatrix.elements = [...this.controller.getWorldMatrix(modelViewTransform, targetIndex)];
+            if (this.postMatrices[targetIndex]) markerMatrix.multiply(this.postMatrices[targetIndex]);
+            return { targetIndex, markerMatrix };
+        }
+        return null;
+    }
+}
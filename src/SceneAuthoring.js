@@ -0,0 +1,196 @@
+import * as THREE from 'three';
+import { downloadBlob } from './Download.js';
+
+// scene.json stores transforms with 5 decimals.
+const PRECISION = 1e5;
+const GIZMO_SIZE = 0.25;
+
+export const NUDGE_STEPS = { position: 0.05, yawDeg: 5, scale: 1.05 };
+
+// Authoring panel buttons (`data-nudge`); right / forward follow the camera.
+export const NUDGES = {
+    left: { right: -NUDGE_STEPS.position },
+    right: { right: NUDGE_STEPS.position },
+    forward: { forward: NUDGE_STEPS.position },
+    back: { forward: -NUDGE_STEPS.position },
+    up: { up: NUDGE_STEPS.position },
+    down: { up: -NUDGE_STEPS.position },
+    'yaw-left': { yawDeg: NUDGE_STEPS.yawDeg },
+    'yaw-right': { yawDeg: -NUDGE_STEPS.yawDeg },
+    'scale-up': { scale: NUDGE_STEPS.scale },
+    'scale-down': { scale: 1 / NUDGE_STEPS.scale }
+};
+
+function round(value) {
+    const rounded = Math.round(value * PRECISION) / PRECISION;
+    return rounded === 0 ? 0 : rounded; // no -0 in the export
+}
+
+// A rotation has two XYZ Euler triples (and any angle +-360); pick the one
+// closest to the authored angles so untouched axes export exactly as authored.
+function eulerDegreesNear(quaternion, authored) {
+    const euler = new THREE.Euler().setFromQuaternion(quaternion, 'XYZ');
+    const primary = [euler.x, euler.y, euler.z].map(angle => THREE.MathUtils.radToDeg(angle));
+    const flipped = [primary[0] + 180, 180 - primary[1], primary[2] + 180];
+    const unwrap = (angle, target) => angle + 360 * Math.round((target - angle) / 360);
+    const [a, b] = [primary, flipped].map(angles => angles.map((angle, i) => unwrap(angle, authored[i])));
+    const cost = angles => angles.reduce((sum, angle, i) => sum + Math.abs(angle - authored[i]), 0);
+    return (cost(a) <= cost(b) ? a : b).map(round);
+}
+
+// Inverse of SceneManager.applyTransform, in whichever schema the object was
+// authored with (`location` / `zoom`, or `position` / `rotation` / `scale`).
+export function sceneTransformOf(object, objData) {
+    const p = object.position;
+    const s = object.scale;
+    const fields = (objData.model && objData.model.fields) || {};
+    // face_me objects are turned towards the viewer every frame; keep the authored rotation.
+    const degrees = (authored) => (fields.face_me ? authored : eulerDegreesNear(object.quaternion, authored));
+
+    if (objData.location || !objData.position) {
+        const location = objData.location || {};
+        const scaleKey = !objData.zoom && objData.scale ? 'scale' : 'zoom';
+        const [rx, ry, rz] = degrees([location.rotate_x || 0, location.rotate_y || 0, location.rotate_z || 0]);
+        return {
+            location: { ...location, x: round(p.x), y: round(p.y), z: round(p.z), rotate_x: rx, rotate_y: ry, rotate_z: rz },
+            [scaleKey]: { ...(objData[scaleKey] || {}), x: round(s.x), y: round(s.y), z: round(s.z) }
+        };
+    }
+    const rotation = objData.rotation || {};
+    const [rx, ry, rz] = degrees([rotation.x || 0, rotation.y || 0, rotation.z || 0]);
+    return {
+        position: { x: round(p.x), y: round(p.y), z: round(p.z) },
+        rotation: { x: rx, y: ry, z: rz },
+        scale: { x: round(s.x), y: round(s.y), z: round(s.z) }
+    };
+}
+
+// On-site placement fixes: nudging and snapping scene objects, axis gizmos on
+// every object, and export of the result as scene.json data.
+export class SceneAuthoring {
+    constructor({ sceneManager, logger }) {
+        this.sceneManager = sceneManager;
+        this.log = logger || console.log;
+        this.enabled = false;
+        this.gizmos = new Map(); // object -> AxesHelper
+        this.reticle = null;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.gizmos.forEach(gizmo => this.sceneManager.scene.remove(gizmo));
+            this.gizmos.clear();
+            this.setReticle(null);
+            this.sceneManager.selectObject(null);
+        }
+        this.log(`Authoring mode ${enabled ? 'on' : 'off'}`);
+    }
+
+    // Gizmos live in the scene (not under the object) so they keep their size.
+    update() {
+        if (!this.enabled) return;
+        this.sceneManager.objectsById.forEach(object => {
+            let gizmo = this.gizmos.get(object);
+            if (!gizmo) {
+                gizmo = new THREE.AxesHelper(GIZMO_SIZE);
+                this.sceneManager.scene.add(gizmo);
+                this.gizmos.set(object, gizmo);
+            }
+            object.getWorldPosition(gizmo.position);
+            object.getWorldQuaternion(gizmo.quaternion);
+            gizmo.visible = this.sceneManager.worldRoot.visible;
+        });
+    }
+
+    // Marks where "snap" would place the selection; null hides it.
+    setReticle(point) {
+        if (!this.reticle) {
+            if (!point) return;
+            const geometry = new THREE.RingGeometry(0.06, 0.08, 32).rotateX(-Math.PI / 2);
+            this.reticle = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: 0x00ff88 }));
+            this.sceneManager.scene.add(this.reticle);
+        }
+        this.reticle.visible = !!point;
+        if (point) this.reticle.position.copy(point);
+    }
+
+    // delta: { right, forward, up } meters, relative to the camera's heading;
+    // { yawDeg } about the vertical; { scale } as a uniform factor.
+    nudge(object, delta, camera) {
+        if (delta.right || delta.forward || delta.up) {
+            const forward = camera.getWorldDirection(new THREE.Vector3()).setY(0);
+            if (forward.lengthSq() < 1e-6) forward.set(0, 0, -1);
+            forward.normalize();
+            const up = new THREE.Vector3(0, 1, 0);
+            const right = new THREE.Vector3().crossVectors(forward, up);
+            const target = object.getWorldPosition(new THREE.Vector3())
+                .addScaledVector(right, delta.right || 0)
+                .addScaledVector(forward, delta.forward || 0)
+                .addScaledVector(up, delta.up || 0);
+            object.position.copy(object.parent.worldToLocal(target));
+        }
+        if (delta.yawDeg) {
+            const yaw = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), THREE.MathUtils.degToRad(delta.yawDeg));
+            object.quaternion.premultiply(yaw);
+        }
+        if (delta.scale) object.scale.multiplyScalar(delta.scale);
+    }
+
+    placeAt(object, worldPoint) {
+        object.position.copy(object.parent.worldToLocal(worldPoint.clone()));
+        this.log(`Snapped ${object.userData.name} to (${worldPoint.x.toFixed(2)}, ${worldPoint.y.toFixed(2)}, ${worldPoint.z.toFixed(2)})`);
+    }
+
+    reset(object) {
+        // applyTransform leaves fields the object wasn't authored with alone.
+        object.position.set(0, 0, 0);
+        object.rotation.set(0, 0, 0);
+        object.scale.set(1, 1, 1);
+        this.sceneManager.applyTransform(object, object.userData);
+    }
+
+    isChanged(object) {
+        const authored = new THREE.Object3D();
+        this.sceneManager.applyTransform(authored, object.userData);
+        return JSON.stringify(sceneTransformOf(object, object.userData)) !==
+            JSON.stringify(sceneTransformOf(authored, object.userData));
+    }
+
+    // Changed objects as { id, name, ...transform fields }.
+    changes() {
+        const changes = [];
+        this.sceneManager.objectsById.forEach((object, id) => {
+            if (!this.isChanged(object)) return;
+            changes.push({ id, name: object.userData.name, ...sceneTransformOf(object, object.userData) });
+        });
+        return changes;
+    }
+
+    exportDiff() {
+        return { exported_at: new Date().toISOString(), changes: this.changes() };
+    }
+
+    // The loaded scene config with the changed transforms merged into its objects.
+    exportScene() {
+        const config = JSON.parse(JSON.stringify(this.sceneManager.config || {}));
+        const changes = new Map(this.changes().map(change => [change.id, change]));
+        const objects = config.ar_objects || config.objects || [];
+        objects.forEach(objData => {
+            const change = changes.get(objData.id);
+            if (!change) return;
+            const { id, name, ...transform } = change;
+            Object.assign(objData, transform);
+        });
+        return config;
+    }
+
+    download(kind) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const full = kind === 'full';
+        const data = full ? this.exportScene() : this.exportDiff();
+        const filename = full ? `scene-${stamp}.json` : `scene-changes-${stamp}.json`;
+        downloadBlob(filename, JSON.stringify(data, null, 2), 'application/json');
+        this.log(`Scene exported: ${filename} (${this.changes().length} changed objects)`);
+    }
+}
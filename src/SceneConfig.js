@@ -0,0 +1,151 @@
+// scene.json helpers shared by SceneManager and the asset preloader, which
+// needs the same object list and URLs before the WebXR scene exists.
+
+// scene.json `model.type` values
+export const MODEL_TYPE = {
+    IMAGE: 5,
+    GLB: 8,
+    SERVICE_TIME: 25,
+    ANNOUNCEMENT: 26
+};
+
+export function sceneObjects(config, zoneId = null, language = null) {
+    let objects = config.ar_objects || config.objects || [];
+    if (zoneId !== undefined && zoneId !== null) {
+        objects = objects.filter(objData => objData.zone_id === undefined || objData.zone_id === zoneId);
+    }
+    return language ? objects.map(objData => localizeObject(objData, language)) : objects;
+}
+
+// Per-language overrides: `i18n: { "en": { ... }, "ja": { ... } }` on an
+// object is merged over it for that language (a base tag like "zh" matches
+// too), e.g. { "name": "Deer", "model": { "ios_texture": { "url": ... } } }.
+export function localizeObject(objData, language) {
+    const overrides = objData.i18n && (objData.i18n[language] || objData.i18n[language.split('-')[0]]);
+    return overrides ? mergeDeep(objData, overrides) : objData;
+}
+
+function mergeDeep(base, overrides) {
+    const merged = { ...base };
+    Object.keys(overrides).forEach(key => {
+        const value = overrides[key];
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        merged[key] = isObject && base[key] && typeof base[key] === 'object' ? mergeDeep(base[key], value) : value;
+    });
+    return merged;
+}
+
+export function modelTypeOf(objData) {
+    return objData.model ? objData.model.type : MODEL_TYPE.GLB;
+}
+
+export function modelUrl(objData) {
+    if (objData.model) {
+        if (objData.model.ios_texture && objData.model.ios_texture.url) {
+            return objData.model.ios_texture.url;
+        } else if (objData.model.texture && objData.model.texture.url) {
+            return objData.model.texture.url;
+        }
+        return null;
+    }
+    return objData.url || null;
+}
+
+// Unique GLB / image URLs the objects will load, in scene order.
+export function sceneAssetUrls(objects) {
+    const urls = new Set();
+    objects.forEach(objData => {
+        const type = modelTypeOf(objData);
+        if (type !== MODEL_TYPE.GLB && type !== MODEL_TYPE.IMAGE) return;
+        const url = modelUrl(objData);
+        if (url) urls.add(url);
+    });
+    return [...urls];
+}
+
+// Object ids that some event action targets (`obj_id`); those need their own node.
+export function referencedObjectIds(objects) {
+    const ids = new Set();
+    objects.forEach(objData => (objData.events || []).forEach(event =>
+        (event.actions || []).forEach(action => {
+            if (action.values && action.values.obj_id !== undefined) ids.add(action.values.obj_id);
+        })));
+    return ids;
+}
+
+// A GLB can share an InstancedMesh with its siblings only if nothing about it
+// ever changes or needs picking: no events, not an action target, no
+// animation-related or per-object render settings.
+export function isStaticModel(objData, referencedIds) {
+    if (modelTypeOf(objData) !== MODEL_TYPE.GLB || !modelUrl(objData)) return false;
+    if (referencedIds.has(objData.id)) return false;
+    if (objData.events && objData.events.length > 0) return false;
+    if (objData.interactive) return false;
+    if (objData.transparency !== undefined && objData.transparency !== null && objData.transparency !== 1) return false;
+    const fields = (objData.model && objData.model.fields) || {};
+    return !fields.interactive && !fields.is_hidden && !fields.face_me && !fields.is_occlusion &&
+        !fields.is_allow_pinch && !fields.is_allow_rotate &&
+        fields.start_frame == null && fields.end_frame == null;
+}
+
+// Splits objects into per-URL instancing groups (at least `minCount` static
+// objects sharing a model) and everything that is built individually.
+export function planInstancing(objects, minCount = 3) {
+    const referencedIds = referencedObjectIds(objects);
+    const byUrl = new Map();
+    const individual = [];
+    objects.forEach(objData => {
+        if (!isStaticModel(objData, referencedIds)) {
+            individual.push(objData);
+            return;
+        }
+        const url = modelUrl(objData);
+        if (!byUrl.has(url)) byUrl.set(url, []);
+        byUrl.get(url).push(objData);
+    });
+
+    const instanced = new Map();
+    byUrl.forEach((group, url) => {
+        if (group.length >= minCount) instanced.set(url, group);
+        else individual.push(...group);
+    });
+    return { instanced, individual };
+}
+
+// `multiply_number` copies scattered uniformly over a disc of
+// `multiply_radius` meters around the object, raised or lowered by up to
+// `multiply_range` meters unless `multiply_is_zero_y`, each with a random yaw.
+// Seeded by the object id so the layout is the same every session.
+export function scatterOffsets(objData) {
+    const fields = (objData.model && objData.model.fields) || {};
+    const count = Math.floor(fields.multiply_number || 0);
+    if (count <= 0) return [];
+    const radius = fields.multiply_radius || 0;
+    const range = fields.multiply_is_zero_y ? 0 : (fields.multiply_range || 0);
+    const random = seededRandom(objData.id || 1);
+
+    const offsets = [];
+    for (let i = 0; i < count; i++) {
+        const angle = random() * Math.PI * 2;
+        const distance = Math.sqrt(random()) * radius;
+        offsets.push({
+            x: Math.cos(angle) * distance,
+            y: (random() * 2 - 1) * range,
+            z: Math.sin(angle) * distance,
+            rotateY: random() * Math.PI * 2
+        });
+    }
+    return offsets;
+}
+
+// mulberry32
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -1,5 +1,25 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { clone as cloneObject } from 'three/addons/utils/SkeletonUtils.js';
+import { EventRuntime, EVENT_TYPE } from './EventRuntime.js';
+import { DataPanel, defaultFetcher } from './DataPanel.js';
+import { AssetManager } from './AssetManager.js';
+import { MODEL_TYPE, modelTypeOf, modelUrl, sceneObjects, planInstancing, scatterOffsets } from './SceneConfig.js';
+import { InstanceBatch } from './InstanceBatch.js';
+import { I18n } from './I18n.js';
+
+// glTF has no frame concept; authored frame numbers assume this rate.
+const DEFAULT_FPS = 24;
+
+// Static objects sharing a GLB are drawn as one InstancedMesh from this many up.
+const INSTANCE_MIN_COUNT = 3;
+// LOD: beyond this fraction of `visible_distance`, animations only advance
+// every FAR_ANIMATION_INTERVAL frames (with the accumulated time).
+const LOD_NEAR_FRACTION = 0.5;
+const FAR_ANIMATION_INTERVAL = 4;
+// Board occluders sit this far behind the printed surface so content
+// authored flat on the board doesn't z-fight with them.
+const BOARD_OCCLUDER_INSET = 0.005;
 
 export class SceneManager {
     constructor(scene, camera, logger) {
@@ -9,18 +29,38 @@ export class SceneManager {
 
         this.worldRoot = new THREE.Group();
         this.scene.add(this.worldRoot);
+        this.rootBlend = null;
 
         this.raycaster = new THREE.Raycaster();
+        this.cameraWorldPos = new THREE.Vector3();
+        this.objectWorldPos = new THREE.Vector3();
         this.objectsToIntersect = [];
+        this.objectsById = new Map();
+        this.animations = new Map();
+        this.dataPanels = [];
+
+        // Swap out to serve data panel resources from somewhere else (e.g. fixtures).
+        this.resourceFetcher = defaultFetcher;
+
+        this.eventRuntime = new EventRuntime(this);
+
+        // Replace with a shared manager to reuse downloads started before the scene exists.
+        this.assets = new AssetManager({ logger: this.log });
+        // Replace with the page's; its language picks the scene.json `i18n` overrides.
+        this.i18n = new I18n();
+
+        this.gltfLoader = new GLTFLoader();
+        this.textureLoader = new THREE.TextureLoader();
+        this.gltfCache = new Map(); // url -> Promise<gltf>, parsed once and cloned per object
+        this.instanceBatches = [];
+        this.selection = null; // { object, helper }
     }
 
-    loadSceneConfig(configUrl) {
+    // Resolves once the scene is built (or replaced by the test cube).
+    loadSceneConfig(configUrl, options = {}) {
         this.log(`Loading scene config: ${configUrl}`);
-        fetch(configUrl)
-            .then(res => res.json())
-            .then(config => {
-                this.buildSceneFromConfig(config);
-            })
+        return this.assets.loadJSON(configUrl)
+            .then(config => this.buildSceneFromConfig(config, options))
             .catch(err => {
                 this.log('Error loading config: ' + err);
                 this.addTestCube();
@@ -37,52 +77,439 @@ export class SceneManager {
         this.addThickAxes(1, 0.02);
     }
 
-    buildSceneFromConfig(config) {
-        const objects = config.ar_objects || config.objects;
-        if (!objects || objects.length === 0) {
+    buildSceneFromConfig(config, options = {}) {
+        const objects = sceneObjects(config, options.zoneId, this.i18n.language);
+        if (options.zoneId !== undefined && options.zoneId !== null) {
+            this.log(`Zone ${options.zoneId}: ${objects.length} objects`);
+        }
+        if (objects.length === 0) {
             this.log("No objects found in scene config. Adding test cube.");
             this.addTestCube();
             return;
         }
 
-        const loader = new GLTFLoader();
-        objects.forEach(objData => {
-            let modelUrl = null;
-            if (objData.model) {
-                if (objData.model.ios_texture && objData.model.ios_texture.url) {
-                    modelUrl = objData.model.ios_texture.url;
-                } else if (objData.model.texture && objData.model.texture.url) {
-                    modelUrl = objData.model.texture.url;
-                }
-            } else if (objData.url) {
-                modelUrl = objData.url;
+        this.config = config;
+        const { instanced, individual } = planInstancing(objects, INSTANCE_MIN_COUNT);
+        const loads = individual.map(objData => this.buildObject(objData));
+        instanced.forEach((group, url) => loads.push(this.buildInstancedObjects(url, group)));
+        this.addThickAxes(1, 0.02);
+        return Promise.all(loads).then(() => {
+            this.log(`Scene built: ${this.objectsById.size}/${objects.length} objects`);
+            this.objectsById.forEach(object => this.eventRuntime.trigger(object, EVENT_TYPE.START));
+        });
+    }
+
+    buildObject(objData) {
+        const type = modelTypeOf(objData);
+        switch (type) {
+            case MODEL_TYPE.IMAGE:
+                return this.buildImageObject(objData);
+            case MODEL_TYPE.GLB:
+                return this.buildGltfObject(objData);
+            case MODEL_TYPE.SERVICE_TIME:
+            case MODEL_TYPE.ANNOUNCEMENT:
+                return this.buildDataPanel(objData, type === MODEL_TYPE.SERVICE_TIME);
+            default:
+                this.log(`Unsupported model type ${type}: ${objData.name || 'Unnamed'}`);
+                return Promise.resolve(null);
+        }
+    }
+
+    getModelUrl(objData) {
+        return modelUrl(objData);
+    }
+
+    buildGltfObject(objData) {
+        const modelUrl = this.getModelUrl(objData);
+        if (!modelUrl) return Promise.resolve(null);
+
+        return this.loadGltf(modelUrl).then(gltf => {
+            const model = this.cloneModel(gltf.scene);
+            this.addObject(model, objData);
+            this.setupAnimation(model, gltf.animations);
+            return model;
+        }).catch(err => {
+            this.log(`Failed to load model ${modelUrl}: ${err}`);
+            return null;
+        });
+    }
+
+    loadGltf(url) {
+        if (!this.gltfCache.has(url)) {
+            this.log(`Loading model: ${url}`);
+            const promise = this.assets.load(url).then(buffer => new Promise((resolve, reject) => {
+                this.gltfLoader.parse(buffer, THREE.LoaderUtils.extractUrlBase(url), resolve, reject);
+            }));
+            promise.catch(() => this.gltfCache.delete(url));
+            this.gltfCache.set(url, promise);
+        }
+        return this.gltfCache.get(url);
+    }
+
+    // Geometry is shared between clones; materials are not, since opacity is set per object.
+    cloneModel(source) {
+        const model = cloneObject(source);
+        model.traverse(child => {
+            if (!child.isMesh) return;
+            child.material = Array.isArray(child.material)
+                ? child.material.map(material => material.clone())
+                : child.material.clone();
+        });
+        return model;
+    }
+
+    // Each object (and its scattered copies) becomes instances of one batch; an
+    // empty placeholder node keeps its id, transform and visibility state.
+    buildInstancedObjects(url, group) {
+        return this.loadGltf(url).then(gltf => {
+            if (gltf.animations && gltf.animations.length > 0) {
+                return Promise.all(group.map(objData => this.buildGltfObject(objData)));
             }
 
-            if (modelUrl) {
-                this.log(`Loading model: ${modelUrl}`);
-                loader.load(modelUrl, (gltf) => {
-                    const model = gltf.scene;
-                    this.applyTransform(model, objData);
-                    model.userData = { ...objData };
-                    this.worldRoot.add(model);
-                    this.log(`Model added: ${objData.name || 'Unnamed'}`);
-
-                    if (objData.interactive || (objData.model && objData.model.fields && objData.model.fields.interactive)) {
-                        // Traverse to add all meshes to intersection list
-                        model.traverse(child => {
-                            if (child.isMesh) {
-                                child.userData = model.userData; // Pass parent data
-                                this.objectsToIntersect.push(child);
-                            }
-                        });
-                    }
-                }, undefined, (err) => {
-                    this.log(`Failed to load model ${modelUrl}: ${err}`);
-                });
+            const capacity = group.reduce((sum, objData) => sum + 1 + scatterOffsets(objData).length, 0);
+            const batch = new InstanceBatch(gltf.scene, capacity);
+            this.instanceBatches.push(batch);
+            this.worldRoot.add(batch.group);
+            this.log(`Instanced ${group.length} objects (${capacity} instances): ${url}`);
+
+            return group.map(objData => {
+                const placeholder = this.addObject(new THREE.Object3D(), objData, { scatter: false });
+                placeholder.updateMatrix();
+                const indices = [placeholder.matrix, ...this.scatterMatrices(placeholder, objData)]
+                    .map(matrix => batch.add(matrix, placeholder));
+                placeholder.userData.instance = { batch, indices };
+                this.refreshVisibility(placeholder);
+                return placeholder;
+            });
+        }).catch(err => {
+            this.log(`Failed to load model ${url}: ${err}`);
+            return null;
+        });
+    }
+
+    // World-root-space matrices of the object's scattered copies.
+    scatterMatrices(object, objData) {
+        const yAxis = new THREE.Vector3(0, 1, 0);
+        return scatterOffsets(objData).map(offset => new THREE.Matrix4().compose(
+            object.position.clone().add(new THREE.Vector3(offset.x, offset.y, offset.z)),
+            new THREE.Quaternion().setFromAxisAngle(yAxis, offset.rotateY).multiply(object.quaternion),
+            object.scale
+        ));
+    }
+
+    // Re-reads an instanced object's placeholder transform after it was moved.
+    syncInstance(object) {
+        const { batch, indices } = object.userData.instance;
+        object.updateMatrix();
+        const matrices = [object.matrix, ...this.scatterMatrices(object, object.userData)];
+        indices.forEach((index, i) => batch.setMatrix(index, matrices[i]));
+    }
+
+    // Copies become children, so they fade, hide and respond to taps with the object.
+    addScatterCopies(object, objData) {
+        const matrices = this.scatterMatrices(object, objData);
+        if (matrices.length === 0) return;
+        object.updateMatrix();
+        const inverse = object.matrix.clone().invert();
+        const copies = matrices.map(matrix => {
+            const copy = cloneObject(object);
+            inverse.clone().multiply(matrix).decompose(copy.position, copy.quaternion, copy.scale);
+            return copy;
+        });
+        copies.forEach(copy => object.add(copy));
+    }
+
+    buildImageObject(objData) {
+        const imageUrl = this.getModelUrl(objData);
+        if (!imageUrl) return Promise.resolve(null);
+
+        const fields = objData.model.fields || {};
+        this.log(`Loading image: ${imageUrl}`);
+        return this.assets.load(imageUrl).then(buffer => new Promise((resolve, reject) => {
+            // Decode the downloaded bytes through an object URL instead of fetching again.
+            const objectUrl = URL.createObjectURL(new Blob([buffer]));
+            this.textureLoader.load(objectUrl, (texture) => {
+                URL.revokeObjectURL(objectUrl);
+                resolve(texture);
+            }, undefined, (err) => {
+                URL.revokeObjectURL(objectUrl);
+                reject(err);
+            });
+        })).then(texture => {
+            texture.colorSpace = THREE.SRGBColorSpace;
+
+            // Authored width/height are in meters; with the scale lock on, the
+            // texture's aspect ratio wins over the authored height.
+            const width = fields.width || 1;
+            let height = fields.height || 1;
+            if (fields.is_size_scale_lock && texture.image && texture.image.width) {
+                height = width * (texture.image.height / texture.image.width);
             }
+
+            const material = new THREE.MeshBasicMaterial({
+                map: texture,
+                transparent: true,
+                side: fields.is_double_sided ? THREE.DoubleSide : THREE.FrontSide
+            });
+            const plane = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+            return this.addObject(plane, objData);
+        }).catch(err => {
+            this.log(`Failed to load image ${imageUrl}: ${err}`);
+            return null;
+        });
+    }
+
+    buildDataPanel(objData, isServiceTime) {
+        const panel = new DataPanel(objData, {
+            isServiceTime,
+            fetcher: (url) => this.resourceFetcher(url),
+            t: (key) => this.i18n.t(key),
+            logger: this.log
         });
+        this.dataPanels.push(panel);
+        this.addObject(panel.mesh, objData);
+        panel.start();
+        return Promise.resolve(panel.mesh);
+    }
 
-        this.addThickAxes(1, 0.02);
+    addObject(object, objData, options = {}) {
+        this.applyTransform(object, objData);
+        if (options.scatter !== false) this.addScatterCopies(object, objData);
+        const fields = (objData.model && objData.model.fields) || {};
+        object.userData = { ...objData, touchEnabled: true, hidden: !!fields.is_hidden, inRange: true };
+        this.worldRoot.add(object);
+        if (objData.id !== undefined) this.objectsById.set(objData.id, object);
+        if (fields.is_occlusion) makeOccluder(object);
+        if (objData.transparency !== undefined && objData.transparency !== null) {
+            this.setOpacity(object, objData.transparency);
+        }
+        this.refreshVisibility(object);
+        this.log(`Model added: ${objData.name || 'Unnamed'}`);
+
+        const hasTapEvent = this.eventRuntime.hasEvent(objData, EVENT_TYPE.TAP);
+        const manipulable = fields.is_allow_pinch || fields.is_allow_rotate;
+        if (hasTapEvent || manipulable || objData.interactive || fields.interactive) {
+            // Traverse to add all meshes to intersection list
+            object.traverse(child => {
+                if (child.isMesh) {
+                    child.userData = object.userData; // Pass parent data
+                    this.objectsToIntersect.push(child);
+                }
+            });
+        }
+        return object;
+    }
+
+    // Depth-only stand-ins for the physical signboard (TargetRegistry.boardPanels),
+    // so content behind the board is hidden by it. They live under the world
+    // root, which is aligned to the board, like any authored occluder.
+    addBoardOccluders(panels) {
+        this.worldRoot.children.filter(child => child.name === 'BoardOccluder').forEach(child => this.worldRoot.remove(child));
+        panels.forEach(panel => {
+            const material = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide });
+            const mesh = new THREE.Mesh(new THREE.PlaneGeometry(panel.width, panel.height), material);
+            mesh.name = 'BoardOccluder';
+            mesh.position.copy(panel.position);
+            mesh.quaternion.copy(panel.quaternion);
+            mesh.translateZ(-BOARD_OCCLUDER_INSET);
+            makeOccluder(mesh);
+            this.worldRoot.add(mesh);
+        });
+        if (panels.length > 0) this.log(`Board occluders: ${panels.length} panels`);
+    }
+
+    getObjectById(id) {
+        return this.objectsById.get(id) || null;
+    }
+
+    getRootObject(object) {
+        let node = object;
+        while (node && node.parent && node.parent !== this.worldRoot) node = node.parent;
+        return node && node.parent === this.worldRoot ? node : null;
+    }
+
+    getOpacity(object) {
+        const opacity = object.userData.opacity;
+        return opacity === undefined ? 1 : opacity;
+    }
+
+    setOpacity(object, opacity) {
+        object.userData.opacity = opacity;
+        object.traverse(child => {
+            if (!child.isMesh) return;
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => {
+                // Occluders never blend; fading one out just hides it (below).
+                if (material.userData.occluder) return;
+                if (material.userData.baseOpacity === undefined) {
+                    material.userData.baseOpacity = material.opacity;
+                    material.userData.baseTransparent = material.transparent;
+                }
+                material.opacity = material.userData.baseOpacity * opacity;
+                material.transparent = material.userData.baseTransparent || opacity < 1;
+                material.depthWrite = opacity >= 1;
+            });
+        });
+        this.refreshVisibility(object);
+    }
+
+    setHidden(object, hidden) {
+        object.userData.hidden = hidden;
+        this.refreshVisibility(object);
+    }
+
+    // Authored visibility (is_hidden / show / hide actions), distance and a
+    // fully faded-out transparency all have to agree before anything is drawn.
+    refreshVisibility(object) {
+        const data = object.userData;
+        object.visible = !data.hidden && data.inRange !== false && this.getOpacity(object) > 0;
+        if (data.instance) data.instance.indices.forEach(index => data.instance.batch.setVisible(index, object.visible));
+    }
+
+    // Distances are measured in worldRoot space, which is meters even when
+    // worldRoot hangs off a scaled MindAR anchor.
+    updateVisibility(camera) {
+        this.worldRoot.worldToLocal(camera.getWorldPosition(this.cameraWorldPos));
+        this.objectsById.forEach(object => {
+            const fields = (object.userData.model && object.userData.model.fields) || {};
+            let inRange = true;
+            let far = false;
+            // is_ignore opts an object out of distance culling and LOD.
+            if (fields.visible_distance && !fields.is_ignore) {
+                this.worldRoot.worldToLocal(object.getWorldPosition(this.objectWorldPos));
+                const distance = this.objectWorldPos.distanceTo(this.cameraWorldPos);
+                inRange = distance <= fields.visible_distance;
+                far = distance > fields.visible_distance * LOD_NEAR_FRACTION;
+            }
+            object.userData.lodFar = far;
+            if (inRange !== object.userData.inRange) {
+                object.userData.inRange = inRange;
+                this.refreshVisibility(object);
+            }
+        });
+    }
+
+    // Outlines the object being manipulated; null clears it.
+    selectObject(object) {
+        if (this.selection && this.selection.object === object) return;
+        if (this.selection) {
+            this.scene.remove(this.selection.helper);
+            this.selection.helper.dispose();
+            this.selection = null;
+        }
+        if (!object) return;
+        const helper = new THREE.BoxHelper(object, 0x00ff88);
+        this.scene.add(helper);
+        this.selection = { object, helper };
+    }
+
+    getSelectedObject() {
+        return this.selection ? this.selection.object : null;
+    }
+
+    // Teardown when the scene is replaced or left: data panels stop their
+    // refresh timers and the content leaves the three.js scene.
+    dispose() {
+        this.dataPanels.forEach(panel => panel.dispose());
+        this.dataPanels = [];
+        this.selectObject(null);
+        this.worldRoot.removeFromParent();
+    }
+
+    setTouchEnabled(object, enabled) {
+        object.userData.touchEnabled = enabled;
+    }
+
+    setupAnimation(object, clips) {
+        if (!clips || clips.length === 0) return;
+
+        const mixer = new THREE.AnimationMixer(object);
+        const entry = { mixer, clips, subclips: new Map(), action: null, resolve: null, pendingDelta: 0, skippedFrames: 0 };
+        mixer.addEventListener('finished', (e) => {
+            if (e.action === entry.action) this.settleAnimation(entry);
+        });
+        this.animations.set(object, entry);
+
+        const fields = object.userData.model.fields || {};
+        this.playAnimation(object, {
+            startFrame: fields.start_frame,
+            endFrame: fields.end_frame,
+            fps: fields.fps,
+            speed: fields.animation_speed,
+            loop: true
+        });
+    }
+
+    // Plays the object's first clip, optionally clipped to an authored frame
+    // range. Resolves when a one-shot playback ends or is superseded.
+    playAnimation(object, options = {}) {
+        const entry = this.animations.get(object);
+        if (!entry) {
+            this.log(`No animation on ${object.userData.name}`);
+            return Promise.resolve();
+        }
+
+        this.stopAnimation(object);
+
+        const fps = options.fps || DEFAULT_FPS;
+        let clip = entry.clips[0];
+        const hasRange = options.startFrame !== undefined && options.startFrame !== null &&
+            options.endFrame !== undefined && options.endFrame !== null && options.endFrame > options.startFrame;
+        if (hasRange) {
+            const name = `${clip.name}_${options.startFrame}_${options.endFrame}_${fps}`;
+            if (!entry.subclips.has(name)) {
+                entry.subclips.set(name, THREE.AnimationUtils.subclip(clip, name, options.startFrame, options.endFrame, fps));
+            }
+            clip = entry.subclips.get(name);
+        }
+
+        const loop = options.loop !== false;
+        const action = entry.mixer.clipAction(clip);
+        action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+        action.clampWhenFinished = !loop;
+        action.timeScale = options.speed || 1;
+        action.reset().play();
+        entry.action = action;
+
+        if (loop) return Promise.resolve();
+        return new Promise(resolve => { entry.resolve = resolve; });
+    }
+
+    // Far or hidden objects still advance (one-shot playbacks must finish), just less often.
+    updateAnimation(object, entry, delta) {
+        entry.pendingDelta += delta;
+        const reduced = object.userData.lodFar || !object.visible;
+        if (reduced && ++entry.skippedFrames < FAR_ANIMATION_INTERVAL) return;
+        entry.mixer.update(entry.pendingDelta);
+        entry.pendingDelta = 0;
+        entry.skippedFrames = 0;
+    }
+
+    stopAnimation(object) {
+        const entry = this.animations.get(object);
+        if (!entry || !entry.action) return;
+        entry.action.stop();
+        entry.action = null;
+        this.settleAnimation(entry);
+    }
+
+    settleAnimation(entry) {
+        if (!entry.resolve) return;
+        const resolve = entry.resolve;
+        entry.resolve = null;
+        resolve();
+    }
+
+    isPickable(object) {
+        const root = this.getRootObject(object);
+        if (!root || !root.userData.touchEnabled || this.getOpacity(root) <= 0) return false;
+        return isDisplayed(object);
+    }
+
+    triggerTap(object) {
+        const root = this.getRootObject(object);
+        if (!root) return Promise.resolve();
+        return this.eventRuntime.trigger(root, EVENT_TYPE.TAP);
     }
 
     addThickAxes(length = 1, thickness = 0.01) {
@@ -121,7 +548,41 @@ export class SceneManager {
         else if (data.scale) object.scale.set(data.scale.x, data.scale.y, data.scale.z);
     }
 
+    // Moves the world root to a corrected pose over `duration` seconds instead of snapping.
+    blendWorldRootTo(position, quaternion, duration) {
+        this.rootBlend = {
+            elapsed: 0,
+            duration: Math.max(duration, 0.001),
+            fromPosition: this.worldRoot.position.clone(),
+            fromQuaternion: this.worldRoot.quaternion.clone(),
+            toPosition: position.clone(),
+            toQuaternion: quaternion.clone()
+        };
+    }
+
+    updateRootBlend(delta) {
+        const blend = this.rootBlend;
+        if (!blend) return;
+        blend.elapsed += delta;
+        const t = Math.min(blend.elapsed / blend.duration, 1);
+        const eased = t * t * (3 - 2 * t);
+        this.worldRoot.position.lerpVectors(blend.fromPosition, blend.toPosition, eased);
+        this.worldRoot.quaternion.slerpQuaternions(blend.fromQuaternion, blend.toQuaternion, eased);
+        if (t >= 1) this.rootBlend = null;
+    }
+
     update(delta, camera) {
+        this.updateRootBlend(delta);
+        this.eventRuntime.update(delta, camera);
+        if (camera) this.updateVisibility(camera);
+        this.animations.forEach((entry, object) => this.updateAnimation(object, entry, delta));
+        if (this.selection && this.selection.object.userData.instance) this.syncInstance(this.selection.object);
+        this.instanceBatches.forEach(batch => batch.commit());
+        if (this.selection) {
+            // Follows drags and animations; hidden with the object.
+            this.selection.helper.visible = this.isPickable(this.selection.object);
+            this.selection.helper.update();
+        }
         this.worldRoot.children.forEach(child => {
             if (child.geometry && child.geometry.type === 'BoxGeometry') {
                 child.rotation.y += delta * 0.5;
@@ -141,10 +602,55 @@ export class SceneManager {
         tempMatrix.identity().extractRotation(controller.matrixWorld);
         this.raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
         this.raycaster.ray.direction.set(0, 0, -1).applyMatrix4(tempMatrix);
-        const intersects = this.raycaster.intersectObjects(this.objectsToIntersect, true);
-        if (intersects.length > 0) {
-            return intersects[0].object;
-        }
-        return null;
+        return this.intersectPickable();
+    }
+
+    // ndc: screen point in normalized device coordinates (-1..1). With `all`
+    // (authoring) every displayed object counts, not only interactive ones.
+    raycastFromCamera(ndc, camera, options = {}) {
+        this.raycaster.setFromCamera(ndc, camera);
+        return options.all ? this.intersectDisplayed() : this.intersectPickable();
+    }
+
+    intersectDisplayed() {
+        const roots = [...this.objectsById.values()].filter(object => !object.userData.instance);
+        const targets = [...roots, ...this.instanceBatches.map(batch => batch.group)];
+        const hit = this.raycaster.intersectObjects(targets, true).find(intersect => isDisplayed(intersect.object));
+        if (!hit) return null;
+        return hit.object.isInstancedMesh ? hit.object.userData.batch.ownerAt(hit.instanceId) : hit.object;
+    }
+
+    intersectPickable() {
+        // Only test what can be hit; culled and hidden objects are skipped up front.
+        const candidates = this.objectsToIntersect.filter(mesh => this.isPickable(mesh));
+        const intersects = this.raycaster.intersectObjects(candidates, false);
+        return intersects.length > 0 ? intersects[0].object : null;
+    }
+}
+
+// `is_occlusion`: the object writes depth but no color, so the camera feed
+// shows through it and hides whatever virtual content is behind it. Drawn
+// first so the depth is there before the content it occludes.
+function makeOccluder(object) {
+    object.traverse(child => {
+        if (!child.isMesh) return;
+        child.renderOrder = -1;
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach(material => {
+            material.colorWrite = false;
+            material.depthWrite = true;
+            material.transparent = false;
+            // Cut-out images occlude with their opaque pixels only.
+            if (material.map) material.alphaTest = 0.5;
+            material.userData.occluder = true;
+            material.needsUpdate = true;
+        });
+    });
+}
+
+function isDisplayed(object) {
+    for (let node = object; node; node = node.parent) {
+        if (!node.visible) return false;
     }
+    return true;
 }
@@ -0,0 +1,153 @@
+import * as THREE from 'three';
+
+const ORBIT_SPEED = 0.005; // radians per pixel
+const MIN_DISTANCE = 0.5;
+const MAX_DISTANCE = 30;
+const TAP_SLOP_PX = 6;
+
+// Camera position orbiting `target`: yaw about the vertical (0 looks down -Z,
+// i.e. from in front of the sign), pitch up from the horizon.
+export function orbitPosition(target, yaw, pitch, distance, out = new THREE.Vector3()) {
+    return out.set(
+        Math.sin(yaw) * Math.cos(pitch),
+        Math.sin(pitch),
+        Math.cos(yaw) * Math.cos(pitch)
+    ).multiplyScalar(distance).add(target);
+}
+
+// Distance that fits a bounding sphere of `radius` in the vertical field of view.
+export function framingDistance(radius, fovDeg) {
+    const distance = radius / Math.sin(THREE.MathUtils.degToRad(fovDeg) / 2);
+    return THREE.MathUtils.clamp(distance, MIN_DISTANCE, MAX_DISTANCE);
+}
+
+// Non-AR fallback: the scene on a plain canvas. One finger (or the mouse)
+// orbits, two fingers or the wheel zoom, a tap without movement calls onTap.
+export class SceneViewer {
+    constructor({ container, logger }) {
+        this.log = logger || console.log;
+        this.onTap = null;
+        this.target = new THREE.Vector3();
+        this.yaw = 0;
+        this.pitch = 0.2;
+        this.distance = 3;
+        this.pointers = new Map(); // pointerId -> { x, y }
+        this.gesture = null;
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.domElement.style.touchAction = 'none';
+        container.appendChild(this.renderer.domElement);
+
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x202428);
+        this.camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.01, 100);
+
+        const hemiLight = new THREE.HemisphereLight(0xffffff, 0xbbbbff, 1);
+        hemiLight.position.set(0.5, 1, 0.25);
+        this.scene.add(hemiLight);
+        this.grid = new THREE.GridHelper(20, 40, 0x666666, 0x3a3a3a);
+        this.scene.add(this.grid);
+
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('pointerdown', e => this.onPointerDown(e));
+        canvas.addEventListener('pointermove', e => this.onPointerMove(e));
+        canvas.addEventListener('pointerup', e => this.onPointerUp(e));
+        canvas.addEventListener('pointercancel', e => this.onPointerUp(e));
+        canvas.addEventListener('wheel', e => {
+            e.preventDefault();
+            this.zoom(Math.exp(e.deltaY * 0.001));
+        }, { passive: false });
+        window.addEventListener('resize', () => {
+            this.camera.aspect = window.innerWidth / window.innerHeight;
+            this.camera.updateProjectionMatrix();
+            this.renderer.setSize(window.innerWidth, window.innerHeight);
+        });
+        this.updateCamera();
+    }
+
+    // Orbit around the box center, far enough back to see all of it; the
+    // grid goes just below, as the ground.
+    frame(box) {
+        if (box.isEmpty()) return;
+        const sphere = box.getBoundingSphere(new THREE.Sphere());
+        this.target.copy(sphere.center);
+        this.distance = framingDistance(sphere.radius, this.camera.fov);
+        this.grid.position.y = box.min.y - 0.01;
+        this.updateCamera();
+        this.log(`Viewer framed ${sphere.radius.toFixed(2)}m scene at ${this.distance.toFixed(2)}m`);
+    }
+
+    start(onFrame) {
+        const clock = new THREE.Clock();
+        this.renderer.setAnimationLoop(() => {
+            if (onFrame) onFrame(clock.getDelta());
+            this.renderer.render(this.scene, this.camera);
+        });
+    }
+
+    zoom(factor) {
+        this.distance = THREE.MathUtils.clamp(this.distance * factor, MIN_DISTANCE, MAX_DISTANCE);
+        this.updateCamera();
+    }
+
+    updateCamera() {
+        orbitPosition(this.target, this.yaw, this.pitch, this.distance, this.camera.position);
+        this.camera.lookAt(this.target);
+    }
+
+    onPointerDown(e) {
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.renderer.domElement.setPointerCapture(e.pointerId);
+        if (this.pointers.size === 1) {
+            this.gesture = { x: e.clientX, y: e.clientY, moved: false, span: null };
+        } else if (this.gesture) {
+            this.gesture.moved = true;
+            this.gesture.span = this.pointerSpan();
+        }
+    }
+
+    onPointerMove(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer || !this.gesture) return;
+        const dx = e.clientX - pointer.x;
+        const dy = e.clientY - pointer.y;
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+
+        const gesture = this.gesture;
+        if (this.pointers.size >= 2) {
+            const span = this.pointerSpan();
+            if (gesture.span) this.zoom(gesture.span / Math.max(span, 1));
+            gesture.span = span;
+            return;
+        }
+        if (!gesture.moved && Math.hypot(e.clientX - gesture.x, e.clientY - gesture.y) < TAP_SLOP_PX) return;
+        gesture.moved = true;
+        this.yaw -= dx * ORBIT_SPEED;
+        this.pitch = THREE.MathUtils.clamp(this.pitch + dy * ORBIT_SPEED, -0.2, Math.PI / 2 - 0.05);
+        this.updateCamera();
+    }
+
+    onPointerUp(e) {
+        if (!this.pointers.delete(e.pointerId)) return;
+        const gesture = this.gesture;
+        if (this.pointers.size > 0) {
+            if (gesture) gesture.span = null;
+            return;
+        }
+        this.gesture = null;
+        if (gesture && !gesture.moved && this.onTap) this.onTap(this.toNdc(e.clientX, e.clientY));
+    }
+
+    pointerSpan() {
+        const [a, b] = this.pointers.values();
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    toNdc(x, y) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        return new THREE.Vector2(((x - rect.left) / rect.width) * 2 - 1, -((y - rect.top) / rect.height) * 2 + 1);
+    }
+}
@@ -0,0 +1,191 @@
+import * as THREE from 'three';
+
+// Portrait phone-camera frame the still image / video is letterboxed into.
+const FEED_SIZE = { width: 720, height: 1280 };
+const FEED_FPS = 30;
+const MOVE_SPEED = 1.2; // m/s
+const LOOK_SPEED = 0.005; // rad per dragged pixel
+
+// Desktop stand-ins for the phone: a camera feed for MindAR built from an image
+// or video, and a fake immersive-ar session whose viewer is driven by the
+// keyboard (WASD / Q,E) and mouse drag.
+export function installSimulator({ feedSrc, logger }) {
+    const log = logger || console.log;
+    const feed = new SimulatedCameraFeed(feedSrc);
+    const viewer = new SimulatedViewer();
+
+    if (!navigator.mediaDevices) {
+        Object.defineProperty(navigator, 'mediaDevices', { value: {}, configurable: true });
+    }
+    navigator.mediaDevices.getUserMedia = () => feed.start();
+    // The capability preflight looks for a camera before anything asks for one.
+    navigator.mediaDevices.enumerateDevices = () => Promise.resolve([{ kind: 'videoinput', deviceId: 'simulator', label: 'Simulator', groupId: '' }]);
+
+    Object.defineProperty(navigator, 'xr', {
+        configurable: true,
+        value: {
+            isSessionSupported: (mode) => Promise.resolve(mode === 'immersive-ar'),
+            requestSession: (mode) => {
+                if (mode !== 'immersive-ar') return Promise.reject(new Error(`Simulator: ${mode} not supported`));
+                return Promise.resolve(new SimulatedXRSession(viewer));
+            }
+        }
+    });
+
+    log(`Simulator: camera feed ${feedSrc}; WASD / Q,E to move, drag to look, click to tap`);
+    return { feed, viewer };
+}
+
+export class SimulatedCameraFeed {
+    constructor(src) {
+        this.src = src;
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = FEED_SIZE.width;
+        this.canvas.height = FEED_SIZE.height;
+        this.source = null;
+        this.stream = null;
+    }
+
+    start() {
+        if (this.stream) return Promise.resolve(this.stream);
+        return this.loadSource().then(source => {
+            this.source = source;
+            this.stream = this.canvas.captureStream(FEED_FPS);
+            // Canvas streams only emit frames when the canvas is repainted.
+            const draw = () => {
+                this.draw();
+                requestAnimationFrame(draw);
+            };
+            draw();
+            return this.stream;
+        });
+    }
+
+    loadSource() {
+        if (/\.(mp4|webm|mov)$/i.test(this.src)) {
+            const video = document.createElement('video');
+            video.src = this.src;
+            video.muted = true;
+            video.loop = true;
+            video.playsInline = true;
+            return video.play().then(() => video);
+        }
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`Simulator: cannot load ${this.src}`));
+            image.src = this.src;
+        });
+    }
+
+    draw() {
+        const ctx = this.canvas.getContext('2d');
+        const width = this.source.videoWidth || this.source.naturalWidth;
+        const height = this.source.videoHeight || this.source.naturalHeight;
+        if (!width || !height) return;
+        const scale = Math.min(this.canvas.width / width, this.canvas.height / height);
+        ctx.fillStyle = '#808080';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.drawImage(this.source, (this.canvas.width - width * scale) / 2, (this.canvas.height - height * scale) / 2,
+            width * scale, height * scale);
+    }
+}
+
+// Viewer pose in the 'local' reference space; like a real session it starts at
+// the origin looking down -Z.
+export class SimulatedViewer {
+    constructor() {
+        this.position = new THREE.Vector3();
+        this.yaw = 0;
+        this.pitch = 0;
+        this.keys = new Set();
+        this.dragging = false;
+        this.dragged = false;
+        this.lastTime = null;
+
+        window.addEventListener('keydown', e => this.keys.add(e.code));
+        window.addEventListener('keyup', e => this.keys.delete(e.code));
+        window.addEventListener('blur', () => this.keys.clear());
+    }
+
+    get quaternion() {
+        return new THREE.Quaternion().setFromEuler(new THREE.Euler(this.pitch, this.yaw, 0, 'YXZ'));
+    }
+
+    attach(element) {
+        element.addEventListener('pointerdown', (e) => {
+            // Claimed by an object gesture (drag / pinch) instead.
+            if (e.defaultPrevented) return;
+            this.dragging = true;
+            this.dragged = false;
+        });
+        window.addEventListener('pointerup', () => { this.dragging = false; });
+        window.addEventListener('pointermove', e => {
+            if (!this.dragging) return;
+            if (Math.abs(e.movementX) + Math.abs(e.movementY) > 0) this.dragged = true;
+            this.yaw -= e.movementX * LOOK_SPEED;
+            this.pitch = THREE.MathUtils.clamp(this.pitch - e.movementY * LOOK_SPEED, -Math.PI / 2, Math.PI / 2);
+        });
+    }
+
+    update(time) {
+        const delta = this.lastTime === null ? 0 : Math.min((time - this.lastTime) / 1000, 0.1);
+        this.lastTime = time;
+
+        const move = new THREE.Vector3(
+            (this.keys.has('KeyD') ? 1 : 0) - (this.keys.has('KeyA') ? 1 : 0),
+            (this.keys.has('KeyE') ? 1 : 0) - (this.keys.has('KeyQ') ? 1 : 0),
+            (this.keys.has('KeyS') ? 1 : 0) - (this.keys.has('KeyW') ? 1 : 0)
+        );
+        if (move.lengthSq() === 0) return;
+        // Walk in the horizontal plane regardless of pitch, like holding a phone.
+        move.normalize().multiplyScalar(MOVE_SPEED * delta);
+        move.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.yaw);
+        this.position.add(move);
+    }
+}
+
+// Just enough of XRSession / XRFrame for the WORLD_LOCKING and RUNNING code
+// paths: no hit test, anchors or camera access, so those fall back as they
+// would on a device without the features.
+export class SimulatedXRSession extends EventTarget {
+    constructor(viewer) {
+        super();
+        this.simulated = true;
+        this.viewer = viewer;
+        this.enabledFeatures = ['local'];
+        this.ended = false;
+    }
+
+    // Advances the viewer and copies its pose onto `camera`; returns the frame for renderWebXR.
+    createFrame(time, camera) {
+        this.viewer.update(time);
+        const position = this.viewer.position.clone();
+        const quaternion = this.viewer.quaternion;
+        camera.position.copy(position);
+        camera.quaternion.copy(quaternion);
+        camera.updateMatrixWorld();
+
+        const viewerPose = {
+            emulatedPosition: false,
+            transform: {
+                position: { x: position.x, y: position.y, z: position.z, w: 1 },
+                orientation: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w }
+            },
+            views: []
+        };
+        return {
+            session: this,
+            getViewerPose: () => viewerPose,
+            getPose: () => null,
+            getHitTestResults: () => []
+        };
+    }
+
+    end() {
+        if (this.ended) return Promise.resolve();
+        this.ended = true;
+        this.dispatchEvent(new Event('end'));
+        return Promise.resolve();
+    }
+}
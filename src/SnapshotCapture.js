@@ -0,0 +1,114 @@
+import * as THREE from 'three';
+import { XRCameraImage } from './XRCameraImage.js';
+
+const JPEG_QUALITY = 0.92;
+
+// Composites the camera passthrough with a re-render of the scene into a JPEG.
+// WebXR never exposes the composited frame, so the passthrough comes from raw
+// camera access and the scene is rendered again from the same view into an
+// offscreen target. Without camera access the photo has a black background.
+export class SnapshotCapture {
+    constructor({ renderer, scene, camera, logger }) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+        this.log = logger || console.log;
+        this.cameraImage = new XRCameraImage(renderer);
+        this.renderTarget = null;
+        this.pixels = null;
+        this.sceneCanvas = document.createElement('canvas');
+        this.output = document.createElement('canvas');
+        this.pending = null;
+    }
+
+    // Resolves with a JPEG blob captured on the next animation frame.
+    request() {
+        if (this.pending) return this.pending.promise;
+        const pending = {};
+        pending.promise = new Promise((resolve, reject) => {
+            pending.resolve = resolve;
+            pending.reject = reject;
+        });
+        this.pending = pending;
+        return pending.promise;
+    }
+
+    // Call from the animation loop right after the frame has been rendered.
+    onFrame(frame, referenceSpace) {
+        const pending = this.pending;
+        if (!pending) return;
+        this.pending = null;
+        try {
+            this.compose(frame, referenceSpace).toBlob(blob => {
+                if (blob) pending.resolve(blob);
+                else pending.reject(new Error('JPEG encoding failed'));
+            }, 'image/jpeg', JPEG_QUALITY);
+        } catch (e) {
+            pending.reject(e);
+        }
+    }
+
+    compose(frame, referenceSpace) {
+        const renderer = this.renderer;
+        const xr = renderer.xr;
+        const presenting = xr.enabled && xr.isPresenting;
+        const viewCamera = presenting ? xr.getCamera().cameras[0] || this.camera : this.camera;
+
+        let background = null;
+        if (presenting && XRCameraImage.isSupported(frame.session)) {
+            const viewerPose = frame.getViewerPose(referenceSpace);
+            const view = viewerPose && viewerPose.views.find(v => v.camera);
+            if (view) background = this.cameraImage.read(frame.session, view.camera);
+        }
+
+        const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+        const width = size.x;
+        const height = size.y;
+        const sceneImage = this.renderScene(viewCamera, width, height);
+
+        this.output.width = width;
+        this.output.height = height;
+        const ctx = this.output.getContext('2d');
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+        // Both sources are GL readbacks (bottom-up), so flip once for the pair.
+        ctx.save();
+        ctx.translate(0, height);
+        ctx.scale(1, -1);
+        if (background) {
+            const scale = Math.max(width / background.width, height / background.height);
+            const drawW = background.width * scale;
+            const drawH = background.height * scale;
+            ctx.drawImage(background, (width - drawW) / 2, (height - drawH) / 2, drawW, drawH);
+        }
+        ctx.drawImage(sceneImage, 0, 0);
+        ctx.restore();
+        return this.output;
+    }
+
+    renderScene(viewCamera, width, height) {
+        const renderer = this.renderer;
+        if (!this.renderTarget || this.renderTarget.width !== width || this.renderTarget.height !== height) {
+            if (this.renderTarget) this.renderTarget.dispose();
+            this.renderTarget = new THREE.WebGLRenderTarget(width, height);
+            this.renderTarget.texture.colorSpace = THREE.SRGBColorSpace;
+            this.pixels = new Uint8ClampedArray(width * height * 4);
+            this.sceneCanvas.width = width;
+            this.sceneCanvas.height = height;
+        }
+
+        // With xr.enabled, render() would swap in the XR array camera and its framebuffer.
+        const previousTarget = renderer.getRenderTarget();
+        const xrEnabled = renderer.xr.enabled;
+        renderer.xr.enabled = false;
+        renderer.setRenderTarget(this.renderTarget);
+        renderer.clear();
+        renderer.render(this.scene, viewCamera);
+        renderer.readRenderTargetPixels(this.renderTarget, 0, 0, width, height, this.pixels);
+        renderer.setRenderTarget(previousTarget);
+        renderer.xr.enabled = xrEnabled;
+
+        this.sceneCanvas.getContext('2d').putImageData(new ImageData(this.pixels, width, height), 0, 0);
+        return this.sceneCanvas;
+    }
+}
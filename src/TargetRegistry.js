@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+
+// Used when a .mind file ships without a manifest: the original three-panel signboard.
+const LEGACY_TARGETS = [
+    { index: 0, name: 'TOP (上)', width: 0.58, offset: { position: { x: 0, y: -0.29, z: 0 } } },
+    { index: 1, name: 'MID (中)', width: 0.58, offset: { position: { x: 0, y: -0.87, z: 0 } } },
+    { index: 2, name: 'BOT (下)', width: 0.58, offset: { position: { x: 0, y: -1.45, z: 0 } } }
+];
+
+export function manifestUrlFor(mindSrc) {
+    return mindSrc.replace(/\.mind$/, '') + '.json';
+}
+
+// Describes the image targets compiled into one .mind file: their physical
+// width and where each sits relative to the shared world origin.
+export class TargetRegistry {
+    constructor(manifest, logger) {
+        this.log = logger || console.log;
+        this.manifest = manifest || {};
+        this.targets = new Map();
+        (this.manifest.targets || LEGACY_TARGETS).forEach(t => this.targets.set(t.index, this.normalize(t)));
+    }
+
+    static load(mindSrc, logger) {
+        const log = logger || console.log;
+        const url = manifestUrlFor(mindSrc);
+        return fetch(url)
+            .then(res => {
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                return res.json();
+            })
+            .then(manifest => {
+                log(`Loaded target manifest: ${url} (${(manifest.targets || []).length} targets)`);
+                return new TargetRegistry(manifest, log);
+            })
+            .catch(err => {
+                log(`Target manifest ${url} unavailable (${err}), using legacy layout`);
+                return new TargetRegistry(null, log);
+            });
+    }
+
+    normalize(target) {
+        const offset = target.offset || {};
+        const pos = offset.position || {};
+        const rot = offset.rotation || {};
+        return {
+            index: target.index,
+            name: target.name || `Target ${target.index}`,
+            width: target.width || null,
+            // Printed panel height, for the board occluder; defaults to the width.
+            height: target.height || null,
+            // Targets may anchor their own zone; otherwise the manifest-wide scene applies.
+            scene: target.scene || null,
+            zoneId: target.zone_id !== undefined ? target.zone_id : null,
+            // Pose of the target center expressed in the world-origin frame (rotation in degrees).
+            offsetPosition: new THREE.Vector3(pos.x || 0, pos.y || 0, pos.z || 0),
+            offsetQuaternion: new THREE.Quaternion().setFromEuler(new THREE.Euler(
+                THREE.MathUtils.degToRad(rot.x || 0),
+                THREE.MathUtils.degToRad(rot.y || 0),
+                THREE.MathUtils.degToRad(rot.z || 0)
+            ))
+        };
+    }
+
+    get indices() {
+        return [...this.targets.keys()].sort((a, b) => a - b);
+    }
+
+    get(index) {
+        return this.targets.get(index) || null;
+    }
+
+    nameOf(index) {
+        const target = this.get(index);
+        return target ? target.name : 'Unknown';
+    }
+
+    widthOf(index, fallback) {
+        const target = this.get(index);
+        return (target && target.width) || fallback;
+    }
+
+    // Physical panels of the signboard in the world-origin frame, one per
+    // target. `widthOf(index)` resolves the width (manifest or settings);
+    // `board_occluder: false` in the manifest turns them off.
+    boardPanels(widthOf) {
+        if (this.manifest.board_occluder === false) return [];
+        return this.indices.map(index => {
+            const target = this.get(index);
+            const width = widthOf(index);
+            return {
+                index,
+                width,
+                height: target.height || width,
+                position: target.offsetPosition.clone(),
+                quaternion: target.offsetQuaternion.clone()
+            };
+        });
+    }
+
+    sceneFor(index) {
+        const target = this.get(index) || {};
+        const zoneId = target.zoneId !== null && target.zoneId !== undefined ? target.zoneId : this.manifest.zone_id;
+        return {
+            url: target.scene || this.manifest.scene || null,
+            zoneId: zoneId !== undefined ? zoneId : null
+        };
+    }
+
+    // Converts a marker pose (camera space) into the world-origin pose (camera space).
+    originFromMarker(index, markerPos, markerQuat) {
+        const target = this.get(index);
+        const markerMatrix = new THREE.Matrix4().compose(markerPos, markerQuat, new THREE.Vector3(1, 1, 1));
+        if (!target) {
+            return { position: markerPos.clone(), quaternion: markerQuat.clone() };
+        }
+        const offsetMatrix = new THREE.Matrix4().compose(target.offsetPosition, target.offsetQuaternion, new THREE.Vector3(1, 1, 1));
+        const originMatrix = markerMatrix.multiply(offsetMatrix.invert());
+
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        originMatrix.decompose(position, quaternion, new THREE.Vector3());
+        return { position, quaternion };
+    }
+}
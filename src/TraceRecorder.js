@@ -0,0 +1,73 @@
+import { downloadBlob } from './Download.js';
+
+export const TRACE_VERSION = 1;
+// Roughly a minute of 60fps viewer poses; the lock happens in the first few seconds.
+const MAX_VIEWER_SAMPLES = 3600;
+
+// Records what the handoff saw on a field device: the MindAR anchor matrices
+// fed into stabilization, XR viewer poses, state transitions, hit-test depth and
+// the final lock, so TraceReplay can re-run the alignment offline.
+export class TraceRecorder {
+    constructor({ logger, now } = {}) {
+        this.log = logger || console.log;
+        this.now = now || (() => performance.now());
+        this.startTime = this.now();
+        this.createdAt = new Date().toISOString();
+        this.settings = {};
+        this.manifest = null;
+        this.markers = [];
+        this.viewers = [];
+        this.events = [];
+        this.viewerLimitReached = false;
+    }
+
+    // Milliseconds since the recorder started.
+    time() {
+        return Math.round((this.now() - this.startTime) * 10) / 10;
+    }
+
+    setSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+    }
+
+    setManifest(manifest) {
+        this.manifest = manifest;
+    }
+
+    recordMarker(targetIndex, matrix, markerWidth, distanceBias) {
+        this.markers.push({ t: this.time(), targetIndex, markerWidth, distanceBias, matrix: [...matrix.elements] });
+    }
+
+    recordViewer(transform, emulatedPosition) {
+        if (this.viewers.length >= MAX_VIEWER_SAMPLES) {
+            if (!this.viewerLimitReached) this.log('Trace: viewer pose limit reached, no longer recording poses');
+            this.viewerLimitReached = true;
+            return;
+        }
+        const p = transform.position;
+        const q = transform.orientation;
+        this.viewers.push({ t: this.time(), position: [p.x, p.y, p.z], quaternion: [q.x, q.y, q.z, q.w], emulated: !!emulatedPosition });
+    }
+
+    recordEvent(type, data = {}) {
+        this.events.push({ t: this.time(), type, ...data });
+    }
+
+    toJSON() {
+        return {
+            version: TRACE_VERSION,
+            createdAt: this.createdAt,
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+            settings: this.settings,
+            manifest: this.manifest,
+            markers: this.markers,
+            viewers: this.viewers,
+            events: this.events
+        };
+    }
+
+    download(filename = `trace-${this.createdAt.replace(/[:.]/g, '-')}.json`) {
+        downloadBlob(filename, JSON.stringify(this), 'application/json');
+        this.log(`Trace exported: ${filename} (${this.markers.length} marker / ${this.viewers.length} viewer samples)`);
+    }
+}
@@ -0,0 +1,135 @@
+import * as THREE from 'three';
+import { PoseStabilizer } from './PoseFusion.js';
+import { TargetRegistry } from './TargetRegistry.js';
+import { AppState } from './AppStateMachine.js';
+import { markerPoseFromMatrix, computeWorldOrigin, DEFAULT_ALIGNMENT } from './WorldOrigin.js';
+
+// Re-runs a TraceRecorder trace through stabilization and the world-origin
+// lock without a browser. `options` override what the trace was recorded with:
+// { markerWidth, distanceBias, stabilizer, alignment, useHitDepth }.
+export function replayTrace(trace, options = {}) {
+    const settings = trace.settings || {};
+    const registry = new TargetRegistry(trace.manifest, () => {});
+    const alignment = { ...DEFAULT_ALIGNMENT, ...settings.alignment, ...options.alignment };
+    const stabilizerOptions = { ...settings.stabilizer, ...options.stabilizer };
+
+    const attempts = stabilizationWindows(trace).map(window => stabilize(trace, window, stabilizerOptions, options));
+    const accepted = attempts.filter(a => a.fused);
+    const report = { attempts, targetIndex: null, fused: null, camera: null, hitDistance: null, origin: null, recorded: null, delta: null };
+    if (accepted.length === 0) {
+        report.reason = attempts.length === 0 ? 'no marker samples in trace' : 'stabilization never accepted';
+        return report;
+    }
+    const attempt = accepted[accepted.length - 1];
+    report.targetIndex = attempt.targetIndex;
+    report.fused = attempt.fused;
+
+    const lockEvent = lastEvent(trace, e => e.type === 'lock');
+    report.camera = lockCamera(trace, attempt.end, settings, lockEvent);
+    if (!report.camera) {
+        report.reason = 'no viewer pose to lock against';
+        return report;
+    }
+
+    // Spec 4.5: the hit test replaces MindAR depth along the same ray.
+    let markerPose = { position: attempt.fused.position.clone(), quaternion: attempt.fused.quaternion.clone() };
+    const depthEvent = lastEvent(trace, e => e.type === 'depth');
+    if (options.useHitDepth !== false && depthEvent && depthEvent.hitDistance !== null) {
+        report.hitDistance = depthEvent.hitDistance;
+        markerPose.position.setLength(depthEvent.hitDistance);
+    }
+
+    report.origin = computeWorldOrigin(report.camera.position, report.camera.quaternion, markerPose, registry, attempt.targetIndex, alignment);
+    if (lockEvent) {
+        report.recorded = {
+            position: new THREE.Vector3().fromArray(lockEvent.position),
+            quaternion: new THREE.Quaternion().fromArray(lockEvent.quaternion)
+        };
+        report.delta = {
+            positionCm: report.origin.position.distanceTo(report.recorded.position) * 100,
+            rotationDeg: THREE.MathUtils.radToDeg(report.origin.quaternion.angleTo(report.recorded.quaternion))
+        };
+    }
+    return report;
+}
+
+// [{ start, end, exitTo }] for every POSE_STABILIZING stint; a trace without
+// state events is treated as one window spanning all marker samples.
+function stabilizationWindows(trace) {
+    const markers = trace.markers || [];
+    if (markers.length === 0) return [];
+    const states = (trace.events || []).filter(e => e.type === 'state');
+    const windows = [];
+    states.forEach((e, i) => {
+        if (e.to !== AppState.POSE_STABILIZING) return;
+        const exit = states[i + 1];
+        windows.push({ start: e.t, end: exit ? exit.t : markers[markers.length - 1].t, exitTo: exit ? exit.to : null });
+    });
+    if (states.length === 0) windows.push({ start: markers[0].t, end: markers[markers.length - 1].t, exitTo: null });
+    return windows;
+}
+
+// Mirrors the live interval: push the frames seen up to each tick, then evaluate.
+function stabilize(trace, window, stabilizerOptions, options) {
+    const stabilizer = new PoseStabilizer(stabilizerOptions);
+    const { tickMs } = stabilizer.options;
+    const markers = trace.markers.filter(m => m.t >= window.start && m.t <= window.end);
+    const attempt = { ...window, samples: markers.length, targetIndex: null, restarts: 0, fused: null, acceptedAt: null, lastReason: null };
+    if (markers.length > 0) attempt.targetIndex = markers[0].targetIndex;
+
+    stabilizer.reset(window.start);
+    let next = 0;
+    for (let tick = window.start + tickMs; tick <= window.end + tickMs; tick += tickMs) {
+        while (next < markers.length && markers[next].t <= tick) {
+            const m = markers[next++];
+            const pose = markerPoseFromMatrix(
+                new THREE.Matrix4().fromArray(m.matrix),
+                options.markerWidth || m.markerWidth,
+                options.distanceBias || m.distanceBias
+            );
+            stabilizer.push({ position: pose.position, quaternion: pose.quaternion });
+        }
+        const { status, result } = stabilizer.evaluate(tick);
+        if (result) attempt.lastReason = result.reason;
+        if (status === 'restarted') attempt.restarts++;
+        if (status === 'accepted') {
+            attempt.fused = result;
+            attempt.acceptedAt = tick;
+            break;
+        }
+    }
+    return attempt;
+}
+
+// The camera pose the lock used: taken from the recorded lock when there is
+// one, otherwise re-derived from the viewer poses with the live lock rule.
+function lockCamera(trace, after, settings, lockEvent) {
+    if (lockEvent && lockEvent.cameraPosition) {
+        return {
+            t: lockEvent.t,
+            position: new THREE.Vector3().fromArray(lockEvent.cameraPosition),
+            quaternion: new THREE.Quaternion().fromArray(lockEvent.cameraQuaternion)
+        };
+    }
+    const lockStart = lastEvent(trace, e => e.type === 'state' && e.to === AppState.WORLD_LOCKING && e.t >= after);
+    const start = lockStart ? lockStart.t : after;
+    const stableFrames = settings.lockStableFrames !== undefined ? settings.lockStableFrames : 10;
+    const waitMs = settings.lockWaitMs !== undefined ? settings.lockWaitMs : 1000;
+
+    let stable = 0;
+    const viewer = (trace.viewers || []).filter(v => v.t >= start).find(v => {
+        stable = v.emulated ? 0 : stable + 1;
+        return stable > stableFrames || v.t - start >= waitMs;
+    });
+    if (!viewer) return null;
+    return {
+        t: viewer.t,
+        position: new THREE.Vector3().fromArray(viewer.position),
+        quaternion: new THREE.Quaternion().fromArray(viewer.quaternion)
+    };
+}
+
+function lastEvent(trace, predicate) {
+    const events = (trace.events || []).filter(predicate);
+    return events.length > 0 ? events[events.length - 1] : null;
+}
@@ -0,0 +1,100 @@
+import * as THREE from 'three';
+
+export const TRACKING_QUALITY = {
+    GOOD: 'good',
+    LIMITED: 'limited',
+    LOST: 'lost'
+};
+
+export const DEFAULT_MONITOR_OPTIONS = {
+    // Consecutive emulated (IMU-only) frames before tracking counts as lost.
+    lostAfterEmulatedFrames: 10,
+    // Frame-to-frame motion a hand-held phone cannot plausibly make.
+    maxSpeed: 3, // m/s
+    maxAngularSpeedDeg: 720,
+    jumpDistance: 0.15, // m in a single frame
+    jumpAngleDeg: 20,
+    // Stay LIMITED this long after a spike, and for this many clean frames after a loss.
+    spikeHoldMs: 500,
+    recoverFrames: 15,
+    // A pose jump this large when tracking resumes means SLAM re-localized.
+    relocalizationDistance: 0.1,
+    relocalizationAngleDeg: 10
+};
+
+// Classifies SLAM tracking quality from the per-frame XR viewer pose:
+// emulated-position streaks, velocity spikes and sudden transform jumps.
+export class TrackingMonitor {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_MONITOR_OPTIONS, ...options };
+        this.quality = TRACKING_QUALITY.GOOD;
+        this.reason = null;
+        this.lastPose = null;
+        this.lastTime = null;
+        this.emulatedStreak = 0;
+        this.cleanStreak = 0;
+        this.lastSpike = { time: -Infinity, reason: null };
+    }
+
+    // pose: { position, quaternion, emulated } (THREE types) or null when the
+    // frame had no viewer pose. Returns { quality, previous, changed, reason, relocalization }.
+    update(time, pose) {
+        const opts = this.options;
+        const previous = this.quality;
+        let relocalization = null;
+
+        if (!pose || pose.emulated) {
+            this.emulatedStreak++;
+            this.cleanStreak = 0;
+            this.setQuality(this.emulatedStreak >= opts.lostAfterEmulatedFrames || previous === TRACKING_QUALITY.LOST
+                ? TRACKING_QUALITY.LOST
+                : TRACKING_QUALITY.LIMITED, 'emulated');
+        } else {
+            const resuming = this.emulatedStreak > 0;
+            const motion = this.lastPose ? this.measure(time, pose) : null;
+            this.emulatedStreak = 0;
+            this.cleanStreak++;
+
+            if (resuming && motion &&
+                (motion.distance > opts.relocalizationDistance || motion.angleDeg > opts.relocalizationAngleDeg)) {
+                relocalization = { distance: motion.distance, angleDeg: motion.angleDeg };
+            } else if (motion && !resuming) {
+                const reason = this.spikeReason(motion);
+                if (reason) this.lastSpike = { time, reason };
+            }
+
+            if (time - this.lastSpike.time < opts.spikeHoldMs) {
+                this.setQuality(TRACKING_QUALITY.LIMITED, this.lastSpike.reason);
+            } else if (previous !== TRACKING_QUALITY.GOOD && this.cleanStreak < opts.recoverFrames) {
+                this.setQuality(TRACKING_QUALITY.LIMITED, 'recovering');
+            } else {
+                this.setQuality(TRACKING_QUALITY.GOOD, null);
+            }
+        }
+
+        if (pose) {
+            this.lastPose = { position: pose.position.clone(), quaternion: pose.quaternion.clone() };
+            this.lastTime = time;
+        }
+        return { quality: this.quality, previous, changed: this.quality !== previous, reason: this.reason, relocalization };
+    }
+
+    measure(time, pose) {
+        const dt = Math.max((time - this.lastTime) / 1000, 1e-3);
+        const distance = pose.position.distanceTo(this.lastPose.position);
+        const angleDeg = THREE.MathUtils.radToDeg(pose.quaternion.angleTo(this.lastPose.quaternion));
+        return { distance, angleDeg, speed: distance / dt, angularSpeedDeg: angleDeg / dt };
+    }
+
+    spikeReason(motion) {
+        const opts = this.options;
+        if (motion.distance > opts.jumpDistance || motion.angleDeg > opts.jumpAngleDeg) return 'jump';
+        if (motion.speed > opts.maxSpeed || motion.angularSpeedDeg > opts.maxAngularSpeedDeg) return 'velocity';
+        return null;
+    }
+
+    setQuality(quality, reason) {
+        this.quality = quality;
+        this.reason = reason;
+    }
+}
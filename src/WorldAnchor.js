@@ -0,0 +1,106 @@
+// Keeps the world root attached to an XRAnchor so ARCore/ARKit re-localization
+// moves content with the real world, and persists the anchor where the
+// platform supports it so a returning visitor can skip the marker scan.
+export class WorldAnchor {
+    constructor({ storageKey, logger }) {
+        this.storageKey = storageKey;
+        this.log = logger || console.log;
+        this.session = null;
+        this.anchor = null;
+        this.handle = null;
+    }
+
+    static isSupported(session) {
+        return !!(session && session.enabledFeatures && session.enabledFeatures.includes('anchors') &&
+            typeof XRFrame !== 'undefined' && XRFrame.prototype.createAnchor);
+    }
+
+    static canPersist(session) {
+        return !!(session && session.restorePersistentAnchor);
+    }
+
+    // { handle, targetIndex, savedAt } from a previous visit, or null.
+    get saved() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // The previous anchor is dropped first: until the new one resolves (or if
+    // it never does) applyTo leaves the object at the pose it was given.
+    create(frame, referenceSpace, position, quaternion, meta = {}) {
+        this.session = frame.session;
+        this.replace(null);
+        const transform = new XRRigidTransform(
+            { x: position.x, y: position.y, z: position.z },
+            { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w }
+        );
+        return frame.createAnchor(transform, referenceSpace)
+            .then(anchor => {
+                this.replace(anchor);
+                this.log('World anchor created');
+                return this.persist(meta);
+            })
+            .catch(e => this.log('World anchor failed: ' + e));
+    }
+
+    replace(anchor) {
+        if (this.anchor && this.anchor !== anchor) this.anchor.delete();
+        this.anchor = anchor;
+    }
+
+    persist(meta) {
+        if (!this.anchor || !this.anchor.requestPersistentHandle) return Promise.resolve(null);
+
+        const previous = this.saved;
+        return this.anchor.requestPersistentHandle()
+            .then(handle => {
+                this.handle = handle;
+                localStorage.setItem(this.storageKey, JSON.stringify({ ...meta, handle, savedAt: Date.now() }));
+                this.log(`World anchor persisted: ${handle}`);
+                if (previous && previous.handle !== handle && this.session.deletePersistentAnchor) {
+                    this.session.deletePersistentAnchor(previous.handle).catch(() => {});
+                }
+                return handle;
+            })
+            .catch(e => {
+                this.log('Anchor persistence unavailable: ' + e);
+                return null;
+            });
+    }
+
+    restore(session) {
+        const saved = this.saved;
+        this.session = session;
+        if (!saved || !WorldAnchor.canPersist(session)) {
+            return Promise.reject(new Error('no restorable anchor'));
+        }
+        return session.restorePersistentAnchor(saved.handle).then(anchor => {
+            this.replace(anchor);
+            this.handle = saved.handle;
+            this.log(`World anchor restored: ${saved.handle}`);
+            return saved;
+        });
+    }
+
+    forget() {
+        const saved = this.saved;
+        localStorage.removeItem(this.storageKey);
+        if (saved && this.session && this.session.deletePersistentAnchor) {
+            this.session.deletePersistentAnchor(saved.handle).catch(() => {});
+        }
+    }
+
+    // Copies the anchor pose onto `object`; false while the anchor is not tracked.
+    applyTo(frame, referenceSpace, object) {
+        if (!this.anchor || !frame.trackedAnchors || !frame.trackedAnchors.has(this.anchor)) return false;
+        const pose = frame.getPose(this.anchor.anchorSpace, referenceSpace);
+        if (!pose) return false;
+        object.position.copy(pose.transform.position);
+        object.quaternion.copy(pose.transform.orientation);
+        return true;
+    }
+}
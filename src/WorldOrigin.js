@@ -0,0 +1,55 @@
+import * as THREE from 'three';
+
+export const DEFAULT_ALIGNMENT = {
+    gravityAlign: true,
+    mode: 'gravity+board', // "gravity+board" | "full"
+    flipMarkerZ: true,
+    yOffset: 0
+};
+
+// Decomposes a MindAR anchor matrix into a camera-relative marker pose in meters.
+export function markerPoseFromMatrix(matrix, markerWidth, distanceBias = 1) {
+    const rawPosition = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    matrix.decompose(rawPosition, quaternion, new THREE.Vector3());
+
+    // --- Simplified Distance Model ---
+    // In MindAR v1.2.5, relPos is roughly in marker-width units if FOV is not calibrated.
+    // We apply the physical width and then a manual bias factor for precise real-world matching.
+    const position = rawPosition.clone().multiplyScalar(markerWidth * distanceBias);
+    return { rawPosition, position, quaternion, markerWidth };
+}
+
+// World-space pose of the world origin, given the XR camera pose and a marker
+// pose in that camera's space.
+export function computeWorldOrigin(cameraPosition, cameraQuaternion, markerPose, registry, targetIndex, alignment = DEFAULT_ALIGNMENT) {
+    // 1. Marker pose in Camera Space (relPos.z is negative if in front)
+    const relPos = markerPose.position.clone();
+    const relQuat = markerPose.quaternion.clone();
+
+    // 2. Adjust Origin: the manifest gives each target's pose relative to the world origin
+    // (e.g. TOP at (0,-0.29,0)), so the origin is that offset inverted, applied in marker space.
+    const origin = registry.originFromMarker(targetIndex, relPos, relQuat);
+    const originInCamSpace = origin.position;
+
+    // 3. Transformation to World Space
+    // We place the world root where the origin is calculated to be in world space
+    const markerWorldPos = cameraPosition.clone().add(originInCamSpace.clone().applyQuaternion(cameraQuaternion));
+
+    markerWorldPos.y += alignment.yOffset;
+    const markerWorldRot = cameraQuaternion.clone().multiply(origin.quaternion);
+    let finalRotation = markerWorldRot;
+    if (alignment.gravityAlign && alignment.mode !== 'full') {
+        // gravity+board: keep Y vertical, align Z to marker normal projected on XZ.
+        const forward = new THREE.Vector3(0, 0, alignment.flipMarkerZ ? 1 : -1).applyQuaternion(markerWorldRot);
+        const up = new THREE.Vector3(0, 1, 0);
+        const fwd = forward.clone().projectOnPlane(up);
+        if (fwd.lengthSq() < 1e-6) fwd.set(0, 0, -1);
+        fwd.normalize();
+        const right = new THREE.Vector3().crossVectors(up, fwd).normalize();
+        const correctedForward = new THREE.Vector3().crossVectors(right, up).normalize();
+        const m = new THREE.Matrix4().makeBasis(right, up, correctedForward);
+        finalRotation = new THREE.Quaternion().setFromRotationMatrix(m);
+    }
+    return { position: markerWorldPos, quaternion: finalRotation };
+}
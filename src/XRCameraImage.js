@@ -0,0 +1,44 @@
+// Copies the WebXR raw camera texture ('camera-access' feature) into a 2D
+// canvas. The texture is only valid during the XR frame it was obtained in,
+// so read() must be called from inside the animation loop. GL rows are
+// bottom-up: the canvas holds the image upside down.
+export class XRCameraImage {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.binding = null;
+        this.framebuffer = null;
+        this.pixels = null;
+        this.canvas = document.createElement('canvas');
+    }
+
+    static isSupported(session) {
+        return !!(session && session.enabledFeatures && session.enabledFeatures.includes('camera-access') &&
+            typeof XRWebGLBinding !== 'undefined');
+    }
+
+    // Returns the (flipped) canvas, or null when no image is available this frame.
+    read(session, camera) {
+        const gl = this.renderer.getContext();
+        if (!this.binding) this.binding = new XRWebGLBinding(session, gl);
+        const texture = this.binding.getCameraImage(camera);
+        if (!texture) return null;
+
+        const width = camera.width;
+        const height = camera.height;
+        if (!this.pixels || this.pixels.length !== width * height * 4) {
+            this.pixels = new Uint8ClampedArray(width * height * 4);
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        if (!this.framebuffer) this.framebuffer = gl.createFramebuffer();
+
+        const previous = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, this.pixels);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, previous);
+
+        this.canvas.getContext('2d').putImageData(new ImageData(this.pixels, width, height), 0, 0);
+        return this.canvas;
+    }
+}
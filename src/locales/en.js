@@ -0,0 +1,100 @@
+export const CATALOG = {
+    'start.button': 'Start Experience',
+    'start.resume': 'Resume last position',
+    'start.checking': 'Checking your device...',
+    'start.viewer': 'Open 3D view',
+    'scan.title': 'Step 1: Scan the image',
+    'scan.hint': 'Point the camera at the sign',
+    'lock.title': 'Hold still',
+    'lock.status': 'Locking the space...',
+    'lock.locked': 'Position locked, entering AR...',
+    'lock.confirm': 'Locked, enter AR',
+    'lock.warning': 'Keep the phone still so content stays in place',
+    'webxr.title': 'Tap to enter AR',
+    'webxr.subtitle': 'Your browser needs a tap to start WebXR',
+    'webxr.button': 'Enter AR',
+    'loading.text': 'Downloading scene assets...',
+    'loading.progress': 'Downloading scene assets {done}/{total}',
+    'runtime.exit': 'Exit AR',
+    'runtime.reanchor': 'Re-anchor',
+    'runtime.view': 'AR View',
+    'slam.good': 'SLAM: Stable',
+    'slam.limited': 'SLAM: Limited',
+    'slam.lost': 'SLAM: Lost',
+    'hint.relocalized': 'Tracking recovered. If content looks shifted, tap 🎯 to re-anchor',
+    'hint.lost': 'Tracking lost: move slowly and point at a textured floor or wall',
+    'reanchor.prompt': 'Re-anchor: point at the sign',
+    'authoring.prompt': 'Tap an object to adjust it',
+    'authoring.unnamed': 'Unnamed',
+    'authoring.changed': ' (changed)',
+    'authoring.up': 'Up',
+    'authoring.down': 'Down',
+    'authoring.left': 'Left',
+    'authoring.right': 'Right',
+    'authoring.forward': 'Fwd',
+    'authoring.back': 'Back',
+    'authoring.scaleUp': 'Bigger',
+    'authoring.scaleDown': 'Smaller',
+    'authoring.snap': 'Snap to surface',
+    'authoring.reset': 'Reset',
+    'authoring.exportDiff': 'Export changes',
+    'authoring.exportFull': 'Export full scene',
+    'settings.open': 'Settings',
+    'settings.title': 'Settings',
+    'settings.language': 'Language',
+    'settings.languageAuto': 'Automatic',
+    'settings.markerWidth': 'Marker width (m)',
+    'settings.target': 'Sign file (.mind)',
+    'settings.targetDefault': 'Default sign (targets.mind)',
+    'settings.targetV1': 'Sign V1 (targets-v1.mind)',
+    'settings.targetV2': 'Sign V2 (targets-v2.mind)',
+    'settings.resolution': 'Camera resolution (height)',
+    'settings.scale': 'Distance scale',
+    'settings.calibDistance': 'Calibration distance (m)',
+    'settings.calibrate': 'Stand at the distance, then calibrate',
+    'settings.authoring': 'Scene editing mode',
+    'settings.occlusion': 'Environment occlusion (depth)',
+    'settings.analyticsExport': 'Export analytics (NDJSON)',
+    'settings.trace': 'Export tracking trace',
+    'settings.save': 'Save',
+    'settings.close': 'Close',
+    'iframe.close': 'Close',
+    'gallery.title': 'All photos',
+    'gallery.close': '✖️ Close',
+    'gallery.all': 'All',
+    'photo.alt': 'AR snapshot',
+    'photo.save': '💾 Save',
+    'photo.share': '🔗 Share',
+    'photo.back': '✖️ Back',
+    'photo.shareTitle': 'AR photo',
+    'alert.invalidWidth': 'Invalid marker width',
+    'alert.invalidDistance': 'Invalid calibration distance',
+    'mode.ok': 'OK',
+    'mode.handoff.title': 'Full AR',
+    'mode.handoff.body': 'Scan the sign, hold still for a moment, and the content stays in place around you even after you look away from the sign.',
+    'mode.mindarOnly.title': 'Sign AR',
+    'mode.mindarOnly.body': "This browser can't run world-tracking AR. Content appears on the sign and only while the camera sees it, so keep the sign in view.",
+    'mode.viewer.title': '3D view',
+    'mode.viewer.body': "The camera can't be used, so the scene opens as a 3D model. Drag to turn, pinch or scroll to zoom, tap objects to open them.",
+    'mode.unsupported.title': 'Not supported',
+    'mode.unsupported.body': "This browser can't display 3D graphics. Please try a recent Chrome or Safari.",
+    'reason.noWebgl': 'WebGL is unavailable',
+    'reason.cameraDenied': 'Camera access is blocked for this site',
+    'reason.noCamera': 'No camera found, or the page is not on HTTPS',
+    'reason.cameraFailed': 'The camera could not be started',
+    'reason.noImmersiveAr': 'WebXR AR is not supported',
+    'reason.webxrFailed': 'The AR session could not be started',
+    'reason.noHitTest': 'No surface detection: the distance comes from the sign alone',
+    'reason.noAnchors': 'No anchors: the position is not kept for your next visit',
+    'reason.noDomOverlay': 'No on-screen buttons while in AR',
+    'reason.smallTextures': 'Limited graphics: large images may not show',
+    'reason.forced': 'Mode chosen with ?mode=',
+    'panel.loading': 'Loading...',
+    'panel.noSource': 'No data source',
+    'panel.empty': 'Nothing to show right now',
+    'panel.error': 'Could not load data',
+    'panel.news': 'Zoo News',
+    'panel.education': 'Education Programs',
+    'panel.press': 'Press Releases',
+    'panel.serviceTime': 'Opening Hours'
+};
@@ -0,0 +1,100 @@
+export const CATALOG = {
+    'start.button': '体験をはじめる',
+    'start.resume': '前回の位置から再開',
+    'start.checking': '端末を確認しています...',
+    'start.viewer': '3D ビューを開く',
+    'scan.title': 'ステップ 1: 画像をスキャン',
+    'scan.hint': 'カメラを看板に向けてください',
+    'lock.title': 'そのまま動かないでください',
+    'lock.status': '空間の位置を固定しています...',
+    'lock.locked': '位置を固定しました。AR を開始します...',
+    'lock.confirm': '固定完了、AR を開始',
+    'lock.warning': '位置がずれないよう、スマートフォンを動かさないでください',
+    'webxr.title': 'タップして AR を開始',
+    'webxr.subtitle': 'ブラウザの制限により、WebXR の開始にはタップが必要です',
+    'webxr.button': 'AR を開始',
+    'loading.text': 'シーン素材をダウンロード中...',
+    'loading.progress': 'シーン素材をダウンロード中 {done}/{total}',
+    'runtime.exit': 'AR を終了',
+    'runtime.reanchor': '再位置合わせ',
+    'runtime.view': 'AR ビュー',
+    'slam.good': 'SLAM: 安定',
+    'slam.limited': 'SLAM: 制限あり',
+    'slam.lost': 'SLAM: 消失',
+    'hint.relocalized': 'トラッキングが復帰しました。表示がずれている場合は 🎯 で再位置合わせしてください',
+    'hint.lost': 'トラッキングが途切れました。ゆっくり動かし、模様のある床や壁に向けてください',
+    'reanchor.prompt': '再位置合わせ：看板に向けてください',
+    'authoring.prompt': 'オブジェクトをタップして調整',
+    'authoring.unnamed': '名前なし',
+    'authoring.changed': '（変更あり）',
+    'authoring.up': '上',
+    'authoring.down': '下',
+    'authoring.left': '左',
+    'authoring.right': '右',
+    'authoring.forward': '前',
+    'authoring.back': '後',
+    'authoring.scaleUp': '拡大',
+    'authoring.scaleDown': '縮小',
+    'authoring.snap': '面に合わせる',
+    'authoring.reset': '元に戻す',
+    'authoring.exportDiff': '変更を書き出し',
+    'authoring.exportFull': 'シーン全体を書き出し',
+    'settings.open': '設定',
+    'settings.title': '設定',
+    'settings.language': '言語',
+    'settings.languageAuto': '自動',
+    'settings.markerWidth': 'マーカー幅 (m)',
+    'settings.target': '看板ファイル (.mind)',
+    'settings.targetDefault': '標準の看板 (targets.mind)',
+    'settings.targetV1': '看板 V1 (targets-v1.mind)',
+    'settings.targetV2': '看板 V2 (targets-v2.mind)',
+    'settings.resolution': 'カメラ解像度 (高さ)',
+    'settings.scale': '距離スケール',
+    'settings.calibDistance': 'キャリブレーション距離 (m)',
+    'settings.calibrate': 'その距離に立ってキャリブレーション開始',
+    'settings.authoring': 'シーン編集モード',
+    'settings.occlusion': '環境オクルージョン (深度)',
+    'settings.analyticsExport': '分析ログを書き出し (NDJSON)',
+    'settings.trace': 'トラッキング記録を書き出し',
+    'settings.save': '保存',
+    'settings.close': '閉じる',
+    'iframe.close': '閉じる',
+    'gallery.title': 'すべての写真',
+    'gallery.close': '✖️ 閉じる',
+    'gallery.all': 'すべて',
+    'photo.alt': 'AR 写真',
+    'photo.save': '💾 保存',
+    'photo.share': '🔗 共有',
+    'photo.back': '✖️ 戻る',
+    'photo.shareTitle': 'AR 記念写真',
+    'alert.invalidWidth': 'マーカー幅が正しくありません',
+    'alert.invalidDistance': 'キャリブレーション距離が正しくありません',
+    'mode.ok': 'OK',
+    'mode.handoff.title': 'フル AR',
+    'mode.handoff.body': '看板をスキャンして少し静止すると、看板から目を離してもコンテンツが周囲の空間に固定されます。',
+    'mode.mindarOnly.title': '看板 AR',
+    'mode.mindarOnly.body': 'このブラウザは空間トラッキング AR に対応していません。コンテンツは看板の上に、カメラに看板が映っている間だけ表示されます。',
+    'mode.viewer.title': '3D ビュー',
+    'mode.viewer.body': 'カメラを使用できないため、シーンを 3D モデルとして表示します。ドラッグで回転、ピンチまたはスクロールで拡大縮小、タップで開きます。',
+    'mode.unsupported.title': '非対応',
+    'mode.unsupported.body': 'このブラウザは 3D 表示に対応していません。最新の Chrome または Safari をお試しください。',
+    'reason.noWebgl': 'WebGL を使用できません',
+    'reason.cameraDenied': 'このサイトのカメラ使用がブロックされています',
+    'reason.noCamera': 'カメラが見つからないか、HTTPS で開かれていません',
+    'reason.cameraFailed': 'カメラを起動できませんでした',
+    'reason.noImmersiveAr': 'WebXR AR に対応していません',
+    'reason.webxrFailed': 'AR セッションを開始できませんでした',
+    'reason.noHitTest': '平面検出なし：距離は看板のみから推定します',
+    'reason.noAnchors': 'アンカーなし：次回の訪問で位置を引き継げません',
+    'reason.noDomOverlay': 'AR 中に画面ボタンを表示できません',
+    'reason.smallTextures': 'グラフィック性能が限られています：大きな画像が表示されない場合があります',
+    'reason.forced': '?mode= でモードを指定しています',
+    'panel.loading': '読み込み中...',
+    'panel.noSource': 'データソースがありません',
+    'panel.empty': '現在お知らせはありません',
+    'panel.error': 'データを読み込めませんでした',
+    'panel.news': '園内ニュース',
+    'panel.education': '教育イベント',
+    'panel.press': 'プレスリリース',
+    'panel.serviceTime': '開園時間'
+};
@@ -0,0 +1,101 @@
+// Traditional Chinese: the reference catalog, every key must exist here.
+export const CATALOG = {
+    'start.button': '開始體驗',
+    'start.resume': '繼續上次位置',
+    'start.checking': '正在檢查裝置...',
+    'start.viewer': '開啟 3D 瀏覽',
+    'scan.title': '步驟 1: 掃描圖片',
+    'scan.hint': '請將鏡頭對準目標圖片',
+    'lock.title': '請保持不動',
+    'lock.status': '正在鎖定空間座標...',
+    'lock.locked': '位置已鎖定，正在進入 AR...',
+    'lock.confirm': '鎖定完成，進入 AR',
+    'lock.warning': '請勿移動手機，避免座標偏移',
+    'webxr.title': '需要點擊以進入 AR',
+    'webxr.subtitle': '瀏覽器限制：必須由使用者點擊啟動 WebXR',
+    'webxr.button': '進入 AR',
+    'loading.text': '正在下載場景素材...',
+    'loading.progress': '正在下載場景素材 {done}/{total}',
+    'runtime.exit': '離開 AR',
+    'runtime.reanchor': '重新對準',
+    'runtime.view': 'AR 畫面',
+    'slam.good': 'SLAM: 穩定',
+    'slam.limited': 'SLAM: 受限',
+    'slam.lost': 'SLAM: 中斷',
+    'hint.relocalized': '定位已重新校正，若內容偏移請按 🎯 重新對準',
+    'hint.lost': '追蹤中斷：請放慢動作，將手機對準有紋理的地面或牆面',
+    'reanchor.prompt': '重新對準：請對準看板',
+    'authoring.prompt': '點選物件以調整位置',
+    'authoring.unnamed': '未命名',
+    'authoring.changed': ' (已修改)',
+    'authoring.up': '上',
+    'authoring.down': '下',
+    'authoring.left': '左',
+    'authoring.right': '右',
+    'authoring.forward': '前',
+    'authoring.back': '後',
+    'authoring.scaleUp': '放大',
+    'authoring.scaleDown': '縮小',
+    'authoring.snap': '貼齊表面',
+    'authoring.reset': '復原',
+    'authoring.exportDiff': '匯出變更',
+    'authoring.exportFull': '匯出完整場景',
+    'settings.open': '設定',
+    'settings.title': '設定',
+    'settings.language': '語言',
+    'settings.languageAuto': '自動',
+    'settings.markerWidth': 'Marker 寬度 (m)',
+    'settings.target': '看板檔案 (.mind)',
+    'settings.targetDefault': '預設看板 (targets.mind)',
+    'settings.targetV1': '看板 V1 (targets-v1.mind)',
+    'settings.targetV2': '看板 V2 (targets-v2.mind)',
+    'settings.resolution': '採樣解析度 (Height)',
+    'settings.scale': '距離比例 (Scale)',
+    'settings.calibDistance': '校正距離 (m)',
+    'settings.calibrate': '站在校正距離後開始校正',
+    'settings.authoring': '場景編輯模式',
+    'settings.occlusion': '環境遮擋 (Depth)',
+    'settings.analyticsExport': '匯出分析紀錄 (NDJSON)',
+    'settings.trace': '匯出追蹤紀錄',
+    'settings.save': '儲存',
+    'settings.close': '關閉',
+    'iframe.close': '關閉',
+    'gallery.title': '所有照片',
+    'gallery.close': '✖️ 關閉',
+    'gallery.all': '全部',
+    'photo.alt': 'AR 合照',
+    'photo.save': '💾 儲存',
+    'photo.share': '🔗 分享',
+    'photo.back': '✖️ 返回',
+    'photo.shareTitle': 'AR 合照',
+    'alert.invalidWidth': 'Marker 寬度無效',
+    'alert.invalidDistance': '校正距離無效',
+    'mode.ok': '知道了',
+    'mode.handoff.title': '完整 AR',
+    'mode.handoff.body': '掃描看板並保持不動片刻，內容就會固定在周圍空間，鏡頭離開看板後仍會留在原位。',
+    'mode.mindarOnly.title': '看板 AR',
+    'mode.mindarOnly.body': '此瀏覽器無法使用空間追蹤 AR。內容會顯示在看板上，且只在鏡頭看得到看板時出現，請保持看板在畫面中。',
+    'mode.viewer.title': '3D 瀏覽',
+    'mode.viewer.body': '無法使用相機，改以 3D 模型顯示場景。拖曳可旋轉，雙指或滾輪可縮放，點擊物件可開啟內容。',
+    'mode.unsupported.title': '不支援',
+    'mode.unsupported.body': '此瀏覽器無法顯示 3D 畫面，請改用新版 Chrome 或 Safari。',
+    'reason.noWebgl': '無法使用 WebGL',
+    'reason.cameraDenied': '此網站的相機權限已被封鎖',
+    'reason.noCamera': '找不到相機，或網頁不是透過 HTTPS 開啟',
+    'reason.cameraFailed': '無法啟動相機',
+    'reason.noImmersiveAr': '不支援 WebXR AR',
+    'reason.webxrFailed': '無法啟動 AR 工作階段',
+    'reason.noHitTest': '無平面偵測：距離僅依看板估算',
+    'reason.noAnchors': '無錨點：下次造訪無法沿用位置',
+    'reason.noDomOverlay': 'AR 中無法顯示畫面按鈕',
+    'reason.smallTextures': '圖形效能有限：大型圖片可能無法顯示',
+    'reason.forced': '已透過 ?mode= 指定模式',
+    'panel.loading': '載入中...',
+    'panel.noSource': '無資料來源',
+    'panel.empty': '目前沒有資料',
+    'panel.error': '資料載入失敗',
+    'panel.news': '園區動態',
+    'panel.education': '教育活動',
+    'panel.press': '新聞稿',
+    'panel.serviceTime': '園區開放時間'
+};
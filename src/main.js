@@ -1,6 +1,30 @@
 import * as THREE from 'three';
 import { MindARThree } from 'mindar-image-three';
 import { SceneManager } from './SceneManager.js';
+import { defaultFetcher } from './DataPanel.js';
+import { TargetRegistry } from './TargetRegistry.js';
+import { Relocalizer } from './Relocalizer.js';
+import { PoseStabilizer, averageQuaternions } from './PoseFusion.js';
+import { WorldAnchor } from './WorldAnchor.js';
+import { AppStateMachine, AppState } from './AppStateMachine.js';
+import { markerPoseFromMatrix, computeWorldOrigin } from './WorldOrigin.js';
+import { TraceRecorder } from './TraceRecorder.js';
+import { installSimulator } from './Simulator.js';
+import { SnapshotCapture } from './SnapshotCapture.js';
+import { XRCameraImage } from './XRCameraImage.js';
+import { PhotoStore } from './PhotoStore.js';
+import { PhotoGallery } from './PhotoGallery.js';
+import { TrackingMonitor, TRACKING_QUALITY } from './TrackingMonitor.js';
+import { DistanceCalibration, CALIBRATION_METHOD, calibrationKey, detectDeviceModel } from './DistanceCalibration.js';
+import { AssetManager } from './AssetManager.js';
+import { sceneObjects, sceneAssetUrls } from './SceneConfig.js';
+import { GestureController, objectPermissions } from './GestureController.js';
+import { SceneAuthoring, NUDGES } from './SceneAuthoring.js';
+import { DepthOcclusion } from './DepthOcclusion.js';
+import { Analytics, ANALYTICS_EVENT } from './Analytics.js';
+import { I18n, LANGUAGES, detectLanguage } from './I18n.js';
+import { EXPERIENCE_MODE, MIN_TEXTURE_SIZE, runPreflight, chooseMode, applyModeOverride } from './Preflight.js';
+import { SceneViewer } from './SceneViewer.js';
 
 // --- Debug & Logger ---
 const debugConsole = document.getElementById('debug-console');
@@ -25,17 +49,9 @@ window.onerror = function (msg, url, lineNo, columnNo, error) {
 };
 
 // --- State Machine ---
-const AppState = {
-  INIT: 'INIT',
-  MINDAR_READY: 'MINDAR_READY',
-  MINDAR_TRACKING: 'MINDAR_TRACKING',
-  POSE_STABILIZING: 'POSE_STABILIZING',
-  WEBXR_STARTING: 'WEBXR_STARTING',
-  WORLD_LOCKING: 'WORLD_LOCKING',
-  RUNNING: 'RUNNING'
-};
-
-let currentState = AppState.INIT;
+// Allowed transitions and guards live in AppStateMachine; UI and timers hang off
+// the entry/exit hooks registered in setupStateHooks().
+const appState = new AppStateMachine({ logger: log });
 
 // --- Globals ---
 let mindarThree = null;
@@ -43,41 +59,83 @@ let webxrRenderer = null;
 let scene = null;
 let camera = null;
 let sceneManager = null;
+let gestures = null;
+let authoring = null;
+// Viewer-center hit test for snapping objects while authoring.
+let authoringHitSource = null;
+let authoringHitPoint = null;
+let depthOcclusion = null;
 let clock = new THREE.Clock();
 
 // MindAR Data
 let mindarAnchor = null;
-let poseBuffer = [];
-const POSE_BUFFER_SIZE = 15;
+let trackingCandidate = null; // { index, anchor } seen but not yet held for MIN_TRACKING_FRAMES
+const stabilizer = new PoseStabilizer(); // 30-pose sliding window, 1.5s minimum, 6s restart
 let poseStabilizeTimer = null;
+let fusedPose = null;
 let stabilizedPose = null;
 let lastMindarRelPose = null;
 let lastMindarRawPose = null;
 let lastMindarNormPose = null;
 let lastVideoSize = { width: 0, height: 0 };
 
-// IMPORTANT: Physical width of the marker in meters.
+// Re-anchor (drift correction during RUNNING)
+let mindarController = null;
+let mindarPostMatrices = null;
+let relocalizer = null;
+const REANCHOR_BLEND_SECONDS = 1.0;
+
+// XRAnchor for the world root (optional 'anchors' feature)
+let worldAnchor = null;
+let pendingAnchorPose = null;
+let resumingFromAnchor = false;
+const RESUME_TIMEOUT_MS = 5000;
+
+// Tracking trace for offline replay (?record); see TraceRecorder / TraceReplay.
+let traceRecorder = null;
+
+// SLAM quality during RUNNING; content is hidden and paused while tracking is lost.
+const trackingMonitor = new TrackingMonitor();
+let contentPaused = false;
+const SLAM_STATUS = {
+  [TRACKING_QUALITY.GOOD]: { className: 'slam-good', label: 'slam.good' },
+  [TRACKING_QUALITY.LIMITED]: { className: 'slam-warn', label: 'slam.limited' },
+  [TRACKING_QUALITY.LOST]: { className: 'slam-bad', label: 'slam.lost' }
+};
+// What #slam-status and #pose-info show, so a language change can redraw it.
+let slamDisplay = { quality: TRACKING_QUALITY.GOOD, reason: null };
+let poseInfoKey = 'runtime.view';
+
+// Souvenir photos: capture in RUNNING, kept in IndexedDB
+let snapshot = null;
+let gallery = null;
+
+// Desktop simulator (?sim or ?sim=/some-feed.mp4): fake camera feed + fake XR session.
+let simulator = null;
+
+// IMPORTANT: Physical width of the marker in meters. Fallback for targets whose
+// manifest entry has no width; a width saved in settings overrides the manifest.
 let PHYSICAL_MARKER_WIDTH = 0.58;
+let markerWidthOverride = false;
 let MINDAR_TARGET_SRC = '/targets.mind';
 let REQUESTED_VIDEO_HEIGHT = 720; // Default to 720p
-let DISTANCE_BIAS = 1.0; // Manual calibration factor
+// MindAR distance scale per device model and video size (replaces the manual bias).
+const calibration = new DistanceCalibration({ logger: log });
+let deviceModel = 'unknown';
+let calibrationRun = null; // { knownDistance, ratios } while a known-distance calibration runs
+const CALIBRATION_SAMPLES = 30;
 
 // --- Testing Metrics Globals ---
 let metrics = {
   maxDistance: 0,
   consecutiveFrames: 0,
   rotationHistory: [], // Array of Euler angles for SD calculation
-  jitterSD: 0,
-  caseADetected: false
+  jitterSD: 0
 };
 const JITTER_WINDOW_SIZE = 30;
 
-const TARGET_OFFSETS = {
-  0: new THREE.Vector3(0, -0.29, 0), // Top (Idx 0): 中心在頂端下方 29cm
-  1: new THREE.Vector3(0, -0.87, 0), // Mid (Idx 1): 中心在頂端下方 87cm
-  2: new THREE.Vector3(0, -1.45, 0)  // Bot (Idx 2)
-};
-const TARGET_NAMES = { 0: "TOP (上)", 1: "MID (中)", 2: "BOT (下)" };
+// Per-.mind target layout (names, widths, offsets to the world origin); see TargetRegistry.
+let targetRegistry = null;
 let currentTargetIndex = 0;
 const MAX_MARKER_DISTANCE = 5;
 let webxrSessionStarting = false;
@@ -88,9 +146,31 @@ const USE_MARKER_WIDTH_SCALE = true;
 const INVERT_MARKER_OFFSET = false; // 修正：不再反轉位移，讓加法邏輯直覺化
 const WORLD_Y_OFFSET = 0.0;
 const ALIGN_MODE = "gravity+board"; // "gravity+board" | "full"
-const MINDAR_SCALE_ADJUST = 3.0; // 根據用戶回饋修正 3 倍誤差
+const ALIGNMENT = { gravityAlign: USE_GRAVITY_ALIGN, mode: ALIGN_MODE, flipMarkerZ: FLIP_MARKER_Z, yOffset: WORLD_Y_OFFSET };
 let pendingWebXRStart = false;
 
+// Scene downloads start while scanning; SceneManager reuses them once WebXR starts.
+const assets = new AssetManager({ logger: log });
+
+// UI language: the settings override, else the browser's preference.
+const i18n = new I18n({ language: resolveLanguage() });
+
+// Visitor-journey events; see setupAnalytics.
+const analytics = new Analytics({ endpoint: analyticsEndpoint(), logger: log });
+let journeyStartTime = null; // scan start (or resume), for the lock duration
+let stabilizeStartTime = null;
+
+// Capability preflight: which mode this visit runs in (see Preflight.js).
+let experience = null; // { mode, reasons, limitations }
+const MODE_KEYS = {
+  [EXPERIENCE_MODE.HANDOFF]: 'mode.handoff',
+  [EXPERIENCE_MODE.MINDAR_ONLY]: 'mode.mindarOnly',
+  [EXPERIENCE_MODE.VIEWER]: 'mode.viewer',
+  [EXPERIENCE_MODE.UNSUPPORTED]: 'mode.unsupported'
+};
+let markerRoot = null; // MindAR-only: carries worldRoot on the tracked anchor
+let viewer = null;
+
 // UI Elements
 let ui = {
   overlay: document.getElementById('overlay'),
@@ -98,10 +178,24 @@ let ui = {
   transition: document.getElementById('transition-overlay'),
   lockProgress: document.getElementById('lock-progress'),
   loading: document.getElementById('loading-screen'),
+  loadingText: document.getElementById('loading-text'),
+  loadingBar: document.getElementById('loading-bar-fill'),
   webxrStartOverlay: document.getElementById('webxr-start-overlay'),
   webxrStartBtn: document.getElementById('webxr-start-btn'),
   runtime: document.getElementById('runtime-ui'),
+  reanchorBtn: document.getElementById('reanchor-btn'),
+  traceBtn: document.getElementById('trace-btn'),
+  snapshotBtn: document.getElementById('snapshot-btn'),
+  slamStatus: document.getElementById('slam-status'),
+  trackingHint: document.getElementById('tracking-hint'),
   arButton: document.getElementById('ar-button'),
+  resumeButton: document.getElementById('resume-button'),
+  modeCard: document.getElementById('mode-card'),
+  modeTitle: document.getElementById('mode-title'),
+  modeBody: document.getElementById('mode-body'),
+  modeReasons: document.getElementById('mode-reasons'),
+  modeCardClose: document.getElementById('mode-card-close'),
+  modeBadge: document.getElementById('mode-badge'),
   poseInfo: document.getElementById('pose-info'),
   cameraPose: document.getElementById('camera-pose'),
   mindarPose: document.getElementById('mindar-pose'),
@@ -114,6 +208,14 @@ let ui = {
   targetInput: document.getElementById('mind-target-input'),
   resInput: document.getElementById('camera-res-input'),
   biasInput: document.getElementById('distance-bias-input'),
+  calibDistanceInput: document.getElementById('calib-distance-input'),
+  calibrateBtn: document.getElementById('calibrate-btn'),
+  authoringToggle: document.getElementById('authoring-toggle'),
+  analyticsExportBtn: document.getElementById('analytics-export-btn'),
+  languageInput: document.getElementById('language-input'),
+  occlusionToggle: document.getElementById('occlusion-toggle'),
+  authoringPanel: document.getElementById('authoring-panel'),
+  authoringSelection: document.getElementById('authoring-selection'),
   metricsOverlay: document.getElementById('metrics-overlay'),
   metricRes: document.getElementById('metric-res'),
   metricDist: document.getElementById('metric-dist'),
@@ -124,11 +226,16 @@ let ui = {
 // --- Initialization ---
 async function init() {
   log('State: INIT (ES Modules)');
+  i18n.apply();
+  renderRuntimeStatus();
+  log(`Language: ${i18n.language}`);
+  setupStateHooks();
 
   // Load saved setting
   const savedWidth = localStorage.getItem('markerWidth');
   if (savedWidth) {
     PHYSICAL_MARKER_WIDTH = parseFloat(savedWidth);
+    markerWidthOverride = true;
     if (ui.widthInput) ui.widthInput.value = PHYSICAL_MARKER_WIDTH;
     log(`Loaded saved marker width: ${PHYSICAL_MARKER_WIDTH}m`);
   }
@@ -147,26 +254,67 @@ async function init() {
     log(`Loaded saved camera resolution: ${REQUESTED_VIDEO_HEIGHT}p`);
   }
 
-  const savedBias = localStorage.getItem('distanceBias');
-  if (savedBias) {
-    DISTANCE_BIAS = parseFloat(savedBias);
-    if (ui.biasInput) ui.biasInput.value = DISTANCE_BIAS;
-    log(`Loaded saved distance bias: ${DISTANCE_BIAS}`);
-  }
+  detectDeviceModel().then(model => {
+    deviceModel = model;
+    log(`Device model: ${model}`);
+    analytics.track(ANALYTICS_EVENT.SESSION, { userAgent: navigator.userAgent, deviceModel: model, language: i18n.language, targetSrc: MINDAR_TARGET_SRC });
+  });
+  setupAnalytics();
 
+  const params = new URLSearchParams(location.search);
+  if (params.has('record')) startTraceRecording();
+  if (params.has('sim')) simulator = installSimulator({ feedSrc: params.get('sim') || '/ref.jpg', logger: log });
+
+  // Start stays disabled until the preflight has picked a mode.
   if (ui.arButton) {
-    ui.arButton.innerText = "Start Experience";
-    ui.arButton.disabled = false;
-    ui.arButton.addEventListener('click', startMindARPhase);
+    ui.arButton.innerText = i18n.t('start.checking');
+    ui.arButton.disabled = true;
+    ui.arButton.addEventListener('click', startExperience);
   }
+  if (ui.modeCardClose) ui.modeCardClose.addEventListener('click', () => { ui.modeCard.style.display = 'none'; });
+  if (ui.modeBadge) ui.modeBadge.addEventListener('click', () => { ui.modeCard.style.display = 'block'; });
+
+  // Calibration starts MindAR, so it waits for a mode that uses the camera.
+  if (ui.calibrateBtn) ui.calibrateBtn.disabled = true;
+
+  runPreflight().catch(err => {
+    // Assume as little as still tries the camera; if it fails to start, the viewer takes over.
+    error(`Preflight failed: ${err.message}`);
+    return {
+      camera: 'prompt',
+      immersiveAr: false,
+      features: { hitTest: false, anchors: false, domOverlay: false },
+      webgl: { version: 1, maxTextureSize: MIN_TEXTURE_SIZE, maxRenderbufferSize: 0 }
+    };
+  }).then(report => {
+    log(`Preflight: camera ${report.camera}, immersive-ar ${report.immersiveAr}, ` +
+      `hit-test ${report.features.hitTest}, anchors ${report.features.anchors}, dom-overlay ${report.features.domOverlay}, ` +
+      `WebGL ${report.webgl.version} (max texture ${report.webgl.maxTextureSize})`);
+    setExperience(applyModeOverride(chooseMode(report), params.get('mode')));
+    if (ui.arButton) ui.arButton.disabled = experience.mode === EXPERIENCE_MODE.UNSUPPORTED;
+    if (ui.modeCard) ui.modeCard.style.display = 'block';
+
+    const savedAnchor = new WorldAnchor({ storageKey: anchorStorageKey() }).saved;
+    if (ui.resumeButton && savedAnchor && experience.mode === EXPERIENCE_MODE.HANDOFF) {
+      log(`Saved world anchor found (${new Date(savedAnchor.savedAt).toLocaleString()})`);
+      ui.resumeButton.style.display = 'block';
+      ui.resumeButton.addEventListener('click', resumeFromAnchor);
+    }
+  });
 
   // Settings Events
   if (ui.settingsBtn) {
     ui.settingsBtn.addEventListener('click', () => {
+      if (ui.biasInput) ui.biasInput.value = calibration.scale.toFixed(3);
+      if (ui.authoringToggle) ui.authoringToggle.checked = isAuthoringMode();
+      if (ui.occlusionToggle) ui.occlusionToggle.checked = isDepthOcclusionEnabled();
+      if (ui.languageInput) ui.languageInput.value = localStorage.getItem('language') || 'auto';
       if (ui.settingsModal) ui.settingsModal.style.display = 'flex';
     });
   }
 
+  if (ui.calibrateBtn) ui.calibrateBtn.addEventListener('click', startDistanceCalibration);
+
   if (ui.closeSettings) {
     ui.closeSettings.addEventListener('click', () => {
       if (ui.settingsModal) ui.settingsModal.style.display = 'none';
@@ -181,22 +329,26 @@ async function init() {
       const biasVal = parseFloat(ui.biasInput.value);
       let needsReload = false;
 
-      if (DISTANCE_BIAS !== biasVal) {
-        DISTANCE_BIAS = biasVal;
-        localStorage.setItem('distanceBias', biasVal);
-        log(`Updated Distance Bias to: ${biasVal}`);
-        // No reload needed for bias if we apply it dynamically, but we'll reload for now for consistency
-        needsReload = true;
+      // Typing a scale stores it as a manual calibration; markerPoseFor picks it up on the next frame.
+      if (biasVal > 0 && Math.abs(biasVal - calibration.scale) > 1e-4) {
+        if (calibration.key) {
+          calibration.setManual(biasVal);
+        } else {
+          // Camera not started yet: applied once the device/video key is known.
+          localStorage.setItem('distanceBias', biasVal);
+          log(`Distance scale ${biasVal} will apply once the camera starts`);
+        }
       }
 
       if (widthVal > 0) {
         if (PHYSICAL_MARKER_WIDTH !== widthVal) {
           PHYSICAL_MARKER_WIDTH = widthVal;
+          markerWidthOverride = true;
           localStorage.setItem('markerWidth', widthVal);
           log(`Updated Marker Width to: ${widthVal}m`);
         }
       } else {
-        alert("Invalid width");
+        alert(i18n.t('alert.invalidWidth'));
         return;
       }
 
@@ -214,6 +366,19 @@ async function init() {
         needsReload = true;
       }
 
+      if (ui.authoringToggle && ui.authoringToggle.checked !== isAuthoringMode()) {
+        setAuthoringMode(ui.authoringToggle.checked);
+      }
+
+      if (ui.languageInput && ui.languageInput.value !== (localStorage.getItem('language') || 'auto')) {
+        setLanguage(ui.languageInput.value);
+      }
+
+      if (ui.occlusionToggle && ui.occlusionToggle.checked !== isDepthOcclusionEnabled()) {
+        localStorage.setItem('depthOcclusion', ui.occlusionToggle.checked ? '1' : '0');
+        if (depthOcclusion) depthOcclusion.setEnabled(ui.occlusionToggle.checked);
+      }
+
       if (ui.settingsModal) ui.settingsModal.style.display = 'none';
 
       if (needsReload) {
@@ -226,8 +391,15 @@ async function init() {
   if (ui.webxrStartBtn) {
     ui.webxrStartBtn.addEventListener('click', () => {
       pendingWebXRStart = false;
-      if (ui.webxrStartOverlay) ui.webxrStartOverlay.style.display = 'none';
-      startWebXRSession();
+      appState.transition(AppState.WEBXR_STARTING, { retry: true });
+    });
+  }
+
+  const closeIframeBtn = document.getElementById('close-iframe');
+  if (closeIframeBtn) {
+    closeIframeBtn.addEventListener('click', () => {
+      const overlay = document.getElementById('iframe-overlay');
+      if (overlay) overlay.style.display = 'none';
     });
   }
 
@@ -236,15 +408,231 @@ async function init() {
   if (exitBtn) {
     exitBtn.addEventListener('click', () => location.reload());
   }
+
+  gallery = new PhotoGallery({
+    store: new PhotoStore(),
+    elements: {
+      strip: document.getElementById('gallery-strip'),
+      fullGallery: document.getElementById('full-gallery-overlay'),
+      fullGalleryGrid: document.getElementById('full-gallery-grid'),
+      closeFullGallery: document.getElementById('close-full-gallery'),
+      previewModal: document.getElementById('photo-preview-modal'),
+      previewImg: document.getElementById('preview-img'),
+      closePreview: document.getElementById('close-preview'),
+      closePreviewBtn: document.getElementById('close-preview-btn'),
+      savePhoto: document.getElementById('save-photo'),
+      sharePhoto: document.getElementById('share-photo')
+    },
+    logger: log,
+    t: (key) => i18n.t(key)
+  });
+  gallery.load();
+  if (ui.snapshotBtn) ui.snapshotBtn.addEventListener('click', takeSnapshot);
+
+  assets.onProgress(updateLoadingScreen);
+  registerServiceWorker();
+  setupAuthoringPanel();
+}
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('/sw.js')
+    .then(() => log('Asset cache service worker registered'))
+    .catch(err => log(`Service worker registration failed: ${err.message}`));
+}
+
+// Downloads every target's scene while the user is still scanning, so the
+// scene is (mostly) ready by the time WebXR starts.
+function preloadSceneAssets() {
+  const configs = new Map();
+  const indices = targetRegistry && targetRegistry.indices.length ? targetRegistry.indices : [currentTargetIndex];
+  indices.forEach(index => {
+    const config = resolveSceneConfig(index);
+    configs.set(`${config.url}#${config.zoneId}`, config);
+  });
+  configs.forEach(({ url, zoneId }) => {
+    assets.loadJSON(url)
+      .then(config => {
+        const urls = sceneAssetUrls(sceneObjects(config, zoneId, i18n.language));
+        log(`Preloading ${urls.length} assets for ${url}`);
+        return assets.preload(urls);
+      })
+      .catch(err => log(`Preload of ${url} failed: ${err.message}`));
+  });
+}
+
+function updateLoadingScreen(progress) {
+  if (!ui.loading) return;
+  if (progress.done) {
+    ui.loading.style.display = 'none';
+    if (progress.failed > 0) log(`Assets: ${progress.loaded}/${progress.total} loaded, ${progress.failed} failed`);
+    return;
+  }
+  ui.loading.style.display = 'block';
+  const settled = progress.loaded + progress.failed;
+  if (ui.loadingText) ui.loadingText.innerText = i18n.t('loading.progress', { done: settled, total: progress.total });
+  if (ui.loadingBar) ui.loadingBar.style.width = (settled / progress.total) * 100 + '%';
+}
+
+function setupStateHooks() {
+  appState.onEnter(AppState.MINDAR_READY, () => {
+    trackingCandidate = null;
+    if (ui.lockProgress) ui.lockProgress.style.width = '0%';
+    if (ui.transition) ui.transition.style.display = 'none';
+    if (ui.mindarScanning) ui.mindarScanning.style.display = 'block';
+  });
+
+  appState.onEnter(AppState.MINDAR_TRACKING, ({ payload }) => {
+    currentTargetIndex = payload.targetIndex;
+    mindarAnchor = trackingCandidate.anchor;
+    trackingCandidate = null;
+    // No handoff: the content stays on the sign while it is tracked.
+    if (experience.mode === EXPERIENCE_MODE.MINDAR_ONLY) {
+      attachMarkerScene();
+      return;
+    }
+    if (ui.metricsOverlay) ui.metricsOverlay.style.display = 'block';
+    appState.transition(AppState.POSE_STABILIZING);
+  });
+
+  appState.onEnter(AppState.POSE_STABILIZING, beginPoseStabilization);
+  appState.onExit(AppState.POSE_STABILIZING, cancelPoseStabilization);
+
+  appState.onEnter(AppState.WEBXR_STARTING, () => {
+    if (ui.webxrStartOverlay) ui.webxrStartOverlay.style.display = 'none';
+    startWebXRSession();
+  });
+
+  appState.onEnter(AppState.WORLD_LOCKING, () => {
+    stableFramesCount = 0;
+    lockWaitExpired = false;
+    if (resumingFromAnchor) {
+      appState.setStateTimeout(RESUME_TIMEOUT_MS, () => abortResume('anchor not tracked in time'));
+    } else {
+      appState.setStateTimeout(LOCK_WAIT_MS, () => { lockWaitExpired = true; });
+    }
+  });
+
+  appState.onEnter(AppState.RUNNING, enterRunning);
+}
+
+// ?analytics=<url> sets the collector endpoint (kept for later visits and the
+// reload after each XR session); ?analytics=off clears it.
+function analyticsEndpoint() {
+  const param = new URLSearchParams(location.search).get('analytics');
+  if (param === 'off') localStorage.removeItem('analyticsEndpoint');
+  else if (param) localStorage.setItem('analyticsEndpoint', param);
+  return localStorage.getItem('analyticsEndpoint');
+}
+
+function setupAnalytics() {
+  appState.subscribe(event => {
+    if (event.type !== 'transition') return;
+    analytics.track(ANALYTICS_EVENT.STATE, { from: event.from, to: event.to, reason: event.payload.reason || null });
+  });
+  if (ui.analyticsExportBtn) ui.analyticsExportBtn.addEventListener('click', () => analytics.download());
+  if (analytics.endpoint) {
+    analytics.startAutoFlush();
+    log(`Analytics: sending to ${analytics.endpoint}`);
+  }
+}
+
+function startTraceRecording() {
+  traceRecorder = new TraceRecorder({ logger: log });
+  traceRecorder.setSettings({
+    markerWidth: PHYSICAL_MARKER_WIDTH,
+    markerWidthOverride,
+    targetSrc: MINDAR_TARGET_SRC,
+    requestedVideoHeight: REQUESTED_VIDEO_HEIGHT,
+    alignment: ALIGNMENT,
+    stabilizer: stabilizer.options,
+    lockStableFrames: LOCK_STABLE_FRAMES,
+    lockWaitMs: LOCK_WAIT_MS
+  });
+  appState.subscribe(event => {
+    if (event.type === 'transition') {
+      traceRecorder.recordEvent('state', { from: event.from, to: event.to, payload: event.payload });
+    }
+  });
+  if (ui.traceBtn) {
+    ui.traceBtn.style.display = 'flex';
+    ui.traceBtn.addEventListener('click', () => traceRecorder.download());
+  }
+  log('Recording tracking trace (?record)');
+}
+
+async function loadTargetRegistry() {
+  targetRegistry = await TargetRegistry.load(MINDAR_TARGET_SRC, log);
+  if (traceRecorder) traceRecorder.setManifest(targetRegistry.manifest);
+}
+
+function anchorStorageKey() {
+  return `worldAnchor:${MINDAR_TARGET_SRC}`;
+}
+
+function setExperience(result) {
+  experience = result;
+  log(`Experience mode: ${result.mode}` +
+    (result.reasons.length ? ` (${result.reasons.join(', ')})` : '') +
+    (result.limitations.length ? `; limited: ${result.limitations.join(', ')}` : ''));
+  analytics.track(ANALYTICS_EVENT.MODE, result);
+  if (ui.calibrateBtn) ui.calibrateBtn.disabled = !usesCamera();
+  renderExperience();
+}
+
+function usesCamera() {
+  return !!experience && (experience.mode === EXPERIENCE_MODE.HANDOFF || experience.mode === EXPERIENCE_MODE.MINDAR_ONLY);
+}
+
+// The mode card explains the mode and why; the badge keeps a fallback mode
+// visible afterwards and reopens the card.
+function renderExperience() {
+  if (!experience) return;
+  const key = MODE_KEYS[experience.mode];
+  if (ui.modeTitle) ui.modeTitle.innerText = i18n.t(`${key}.title`);
+  if (ui.modeBody) ui.modeBody.innerText = i18n.t(`${key}.body`);
+  if (ui.modeReasons) {
+    ui.modeReasons.innerHTML = '';
+    [...experience.reasons, ...experience.limitations].forEach(reason => {
+      const item = document.createElement('li');
+      item.innerText = i18n.t(reason);
+      ui.modeReasons.appendChild(item);
+    });
+  }
+  if (ui.modeBadge) ui.modeBadge.innerText = i18n.t(`${key}.title`);
+  if (ui.arButton) ui.arButton.innerText = i18n.t(experience.mode === EXPERIENCE_MODE.VIEWER ? 'start.viewer' : 'start.button');
+}
+
+function startExperience() {
+  if (ui.modeCard) ui.modeCard.style.display = 'none';
+  if (experience.mode === EXPERIENCE_MODE.VIEWER) {
+    startViewerMode();
+  } else {
+    startMindARPhase();
+  }
+}
+
+// Returning visitor: skip MindAR and restore the persisted anchor directly.
+async function resumeFromAnchor() {
+  if (ui.overlay) ui.overlay.style.display = 'none';
+  resumingFromAnchor = true;
+  journeyStartTime = performance.now();
+  await loadTargetRegistry();
+  preloadSceneAssets();
+  const saved = new WorldAnchor({ storageKey: anchorStorageKey() }).saved;
+  if (saved && saved.targetIndex !== undefined) currentTargetIndex = saved.targetIndex;
+  appState.transition(AppState.WEBXR_STARTING, { resume: true });
 }
 
 // --- Phase 1: MindAR Image Tracking ---
 async function startMindARPhase() {
   if (ui.overlay) ui.overlay.style.display = 'none';
-  if (ui.mindarScanning) ui.mindarScanning.style.display = 'block';
-  currentState = AppState.MINDAR_READY;
+  journeyStartTime = performance.now();
+  appState.transition(AppState.MINDAR_READY);
 
   log('Starting MindAR Setup...');
+  await loadTargetRegistry();
+  preloadSceneAssets();
 
   try {
     log("Creating MindARThree instance...");
@@ -272,21 +660,25 @@ async function startMindARPhase() {
   const light = new THREE.HemisphereLight(0xffffff, 0xbbbbff, 1);
   mScene.add(light);
 
-  mindarAnchor = mindarThree.addAnchor(0);
+  const targetIndices = targetRegistry.indices;
+  mindarAnchor = null;
 
   const geometry = new THREE.SphereGeometry(0.1, 32, 32);
   const material = new THREE.MeshBasicMaterial({ color: 0x00ff00, transparent: true, opacity: 0.5 });
   const sphere = new THREE.Mesh(geometry, material);
 
   // Use a loop to setup multiple anchors
-  for (let i = 0; i < 3; i++) {
+  targetIndices.forEach((i, n) => {
     const anchor = mindarThree.addAnchor(i);
     // Visual feedback for development (optional: only add to the first one or all)
-    if (i === 0) anchor.group.add(sphere);
+    if (n === 0) {
+      anchor.group.add(sphere);
+      mindarAnchor = anchor;
+    }
 
     anchor.onTargetFound = () => {
-      if (currentState === AppState.MINDAR_READY) {
-        const name = TARGET_NAMES[i] || "Unknown";
+      if (appState.is(AppState.MINDAR_READY)) {
+        const name = targetRegistry.nameOf(i);
         log(`Target Found: ${name} (Index ${i})`);
 
         // --- Metrics Detection ---
@@ -296,27 +688,21 @@ async function startMindARPhase() {
           log(`First Detection Distance: ${dist.toFixed(3)}m`);
         }
 
-        currentTargetIndex = i;
-        mindarAnchor = anchor;
-        currentState = AppState.MINDAR_TRACKING;
-
-        if (ui.metricsOverlay) ui.metricsOverlay.style.display = 'block';
-
-        beginPoseStabilization();
+        // Tracking only starts once the render loop has seen it for enough frames.
+        trackingCandidate = { index: i, anchor };
+        metrics.consecutiveFrames = 0;
       }
     };
 
     anchor.onTargetLost = () => {
-      if (currentState === AppState.MINDAR_TRACKING || currentState === AppState.POSE_STABILIZING) {
-        if (mindarAnchor === anchor) {
-          log('Target Lost - Abort Transition');
-          cancelPoseStabilization();
-          currentState = AppState.MINDAR_READY;
-          if (ui.transition) ui.transition.style.display = 'none';
-        }
+      if (trackingCandidate && trackingCandidate.anchor === anchor) trackingCandidate = null;
+      if (appState.is(AppState.MINDAR_TRACKING, AppState.POSE_STABILIZING) && mindarAnchor === anchor) {
+        log('Target Lost - Abort Transition');
+        analytics.track(ANALYTICS_EVENT.TARGET_LOST, { state: appState.state, targetIndex: i });
+        appState.transition(AppState.MINDAR_READY, { reason: 'target-lost' });
       }
     };
-  }
+  });
 
   try {
     log("Starting MindAR Video...");
@@ -330,13 +716,17 @@ async function startMindARPhase() {
         const settings = track && track.getSettings ? track.getSettings() : null;
         lastVideoSize.width = (settings && settings.width) || video.videoWidth || 0;
         lastVideoSize.height = (settings && settings.height) || video.videoHeight || 0;
+        if (traceRecorder) traceRecorder.recordEvent('video', { ...lastVideoSize });
+        loadCalibration();
       };
       updateVideoSize();
       video.addEventListener('loadedmetadata', updateVideoSize);
     }
     renderer.setAnimationLoop(() => {
-      if (currentState === AppState.MINDAR_TRACKING || currentState === AppState.POSE_STABILIZING) {
-        if (currentState === AppState.POSE_STABILIZING) {
+      if (calibrationRun && trackingCandidate) collectCalibrationSample(trackingCandidate);
+      if (markerRoot) sceneManager.update(clock.getDelta(), mCamera);
+      if (trackingCandidate || appState.is(AppState.MINDAR_TRACKING, AppState.POSE_STABILIZING)) {
+        if (appState.is(AppState.POSE_STABILIZING)) {
           bufferPose(mindarAnchor.group, mCamera);
           updateMetrics();
         }
@@ -344,79 +734,163 @@ async function startMindARPhase() {
       } else {
         metrics.consecutiveFrames = 0;
       }
+      if (trackingCandidate && !calibrationRun && appState.is(AppState.MINDAR_READY)) {
+        appState.transition(AppState.MINDAR_TRACKING, {
+          targetIndex: trackingCandidate.index,
+          consecutiveFrames: metrics.consecutiveFrames
+        });
+      }
       renderer.render(mScene, mCamera);
     });
   } catch (e) {
+    // Denied at the prompt or in use elsewhere; the scene can still be viewed.
     error("MindAR Start Failed: " + e.message);
-    alert("Camera access denied or device not supported.");
+    renderer.setAnimationLoop(null);
+    renderer.domElement.remove();
+    renderer.dispose();
+    const video = document.querySelector('video');
+    if (video) video.remove();
+    startViewerMode('reason.cameraFailed');
   }
 }
 
+// MindAR-only mode: the scene hangs off the tracked anchor instead of a world
+// origin. Anchor groups are in marker widths, and worldRoot sits where
+// originFromMarker would put the origin relative to the sign.
+function attachMarkerScene() {
+  if (!sceneManager) {
+    scene = mindarThree.scene;
+    camera = mindarThree.camera;
+    createSceneManager();
+    markerRoot = new THREE.Group();
+    markerRoot.add(sceneManager.worldRoot);
+    const canvas = mindarThree.renderer.domElement;
+    canvas.addEventListener('click', (e) => {
+      if (!appState.is(AppState.MINDAR_TRACKING)) return;
+      const rect = canvas.getBoundingClientRect();
+      const ndc = new THREE.Vector2(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1);
+      const hit = sceneManager.raycastFromCamera(ndc, camera);
+      if (hit) handleSceneTap(hit);
+    });
+  }
+  markerRoot.scale.setScalar(1 / markerWidthOf(currentTargetIndex));
+  const target = targetRegistry.get(currentTargetIndex);
+  const worldRoot = sceneManager.worldRoot;
+  if (target) {
+    new THREE.Matrix4().compose(target.offsetPosition, target.offsetQuaternion, new THREE.Vector3(1, 1, 1))
+      .invert()
+      .decompose(worldRoot.position, worldRoot.quaternion, worldRoot.scale);
+  }
+  mindarAnchor.group.add(markerRoot);
+  if (ui.mindarScanning) ui.mindarScanning.style.display = 'none';
+  if (ui.modeBadge) ui.modeBadge.style.display = 'block';
+  log(`Scene attached to ${targetRegistry.nameOf(currentTargetIndex)} (MindAR only)`);
+}
+
+// Non-AR fallback, from the preflight or when the camera or the XR session
+// fails to start: the same scene in an orbit viewer.
+async function startViewerMode(reason = null) {
+  appState.transition(AppState.VIEWER, { reason });
+  if (reason) setExperience({ mode: EXPERIENCE_MODE.VIEWER, reasons: [reason], limitations: [] });
+  if (ui.overlay) ui.overlay.style.display = 'none';
+  if (ui.mindarScanning) ui.mindarScanning.style.display = 'none';
+  if (ui.webxrStartOverlay) ui.webxrStartOverlay.style.display = 'none';
+  if (ui.modeCard) ui.modeCard.style.display = reason ? 'block' : 'none';
+  if (ui.modeBadge) ui.modeBadge.style.display = 'block';
+  if (!targetRegistry) await loadTargetRegistry();
+
+  viewer = new SceneViewer({ container: document.body, logger: log });
+  scene = viewer.scene;
+  camera = viewer.camera;
+  createSceneManager().then(() => viewer.frame(new THREE.Box3().setFromObject(sceneManager.worldRoot)));
+  viewer.onTap = (ndc) => {
+    const hit = sceneManager.raycastFromCamera(ndc, camera);
+    if (hit) handleSceneTap(hit);
+  };
+  viewer.start(delta => sceneManager.update(delta, camera));
+}
+
 // --- Phase 2: Pose Stabilization ---
 function beginPoseStabilization() {
-  currentState = AppState.POSE_STABILIZING;
   if (ui.mindarScanning) ui.mindarScanning.style.display = 'none';
   if (ui.transition) ui.transition.style.display = 'flex';
   if (ui.lockProgress) ui.lockProgress.style.width = '0%';
 
-  poseBuffer = [];
-
-  let progress = 0;
-  const duration = 1500;
-  const interval = 50;
+  stabilizer.reset(performance.now());
+  stabilizeStartTime = performance.now();
+  fusedPose = null;
+  let lastReason = null;
 
+  // Lock only once the fused window is tight enough; a fixed timer alone would
+  // happily lock onto a shaky buffer.
   poseStabilizeTimer = setInterval(() => {
-    progress += (interval / duration) * 100;
-    if (ui.lockProgress) ui.lockProgress.style.width = Math.min(progress, 100) + '%';
+    const { status, progress, result } = stabilizer.evaluate(performance.now());
+    if (ui.lockProgress) ui.lockProgress.style.width = progress * 100 + '%';
 
-    if (progress >= 100) {
+    if (status === 'accepted') {
       clearInterval(poseStabilizeTimer);
+      fusedPose = result;
+      log(`Pose fused: ${result.inliers}/${result.total} inliers, ` +
+        `spread ${(result.positionSpread * 100).toFixed(1)}cm / ${result.rotationSpreadDeg.toFixed(2)}°`);
+      analytics.track(ANALYTICS_EVENT.STABILIZED, {
+        durationMs: Math.round(performance.now() - stabilizeStartTime),
+        inliers: result.inliers,
+        total: result.total,
+        positionSpreadCm: result.positionSpread * 100,
+        rotationSpreadDeg: result.rotationSpreadDeg
+      });
+      analytics.track(ANALYTICS_EVENT.MARKER, {
+        targetIndex: currentTargetIndex,
+        distance: result.position.length(),
+        maxDistance: metrics.maxDistance,
+        jitterSD: metrics.jitterSD,
+        consecutiveFrames: metrics.consecutiveFrames
+      });
       showConfirmButton(); // 顯示手動進入按鈕
+    } else if (status === 'restarted') {
+      // The stabilizer started over with a fresh window; the marker is still in view.
+      error(`Stabilization rejected: ${result.reason}`);
+      analytics.track(ANALYTICS_EVENT.STABILIZATION_RESTART, { reason: result.reason });
+      lastReason = null;
+    } else if (status === 'holding' && result.reason !== lastReason) {
+      lastReason = result.reason;
+      log(`Holding lock: ${result.reason}`);
     }
-  }, interval);
+  }, stabilizer.options.tickMs);
 }
 
 function showConfirmButton() {
   const btn = document.getElementById('confirm-lock-btn');
-  const statusText = document.querySelector('#transition-overlay div div:nth-child(3)');
+  const statusText = document.getElementById('lock-status-text');
   const icon = document.getElementById('lock-status-icon');
 
-  if (statusText) statusText.innerText = '位置已鎖定，正在進入 AR...';
+  if (statusText) statusText.innerText = i18n.t('lock.locked');
   if (icon) icon.innerText = '✅';
 
-  // Automated transition after 1 second
+  // Automated transition after 1 second; dropped if the marker is lost meanwhile.
   log("Space locked. Auto-transitioning to WebXR in 1s...");
-  setTimeout(() => {
+  appState.setStateTimeout(1000, () => {
     if (btn) btn.style.display = 'none';
     finalizeStabilization();
-  }, 1000);
+  });
 }
 
 function cancelPoseStabilization() {
   clearInterval(poseStabilizeTimer);
-  if (ui.lockProgress) ui.lockProgress.style.width = '0%';
-  if (ui.transition) ui.transition.style.display = 'none';
-  if (ui.mindarScanning) ui.mindarScanning.style.display = 'block';
 }
 
 function bufferPose(group, camera) {
   if (!camera) return;
   group.updateWorldMatrix(true, false);
-  // MindAR anchor.group world matrix encodes the camera-relative pose.
-  const relPos = new THREE.Vector3();
-  const relQuat = new THREE.Quaternion();
-  // MindARupdates anchor.group.matrix directly.
-  group.matrix.decompose(relPos, relQuat, new THREE.Vector3());
+  // MindARupdates anchor.group.matrix directly; it encodes the camera-relative pose.
+  const { rawPosition: relPos, position: scaledPos, quaternion: relQuat, markerWidth } =
+    markerPoseFor(group.matrix, currentTargetIndex);
+  if (traceRecorder) traceRecorder.recordMarker(currentTargetIndex, group.matrix, markerWidth, calibration.scale);
 
   lastMindarRawPose = { position: relPos.clone(), quaternion: relQuat.clone() };
 
-  // --- Simplified Distance Model ---
-  // In MindAR v1.2.5, relPos is roughly in marker-width units if FOV is not calibrated.
-  // We apply the physical width and then a manual bias factor for precise real-world matching.
-  const scaledPos = relPos.clone().multiplyScalar(PHYSICAL_MARKER_WIDTH * DISTANCE_BIAS);
-
   lastMindarRelPose = { position: scaledPos.clone(), quaternion: relQuat.clone() };
-  poseBuffer.push({ position: scaledPos, quaternion: relQuat });
+  stabilizer.push({ position: scaledPos, quaternion: relQuat });
 
   if (ui.mindarPose) {
     const dx = scaledPos.x;
@@ -427,15 +901,76 @@ function bufferPose(group, camera) {
     const degY = THREE.MathUtils.radToDeg(euler.y);
     const degZ = THREE.MathUtils.radToDeg(euler.z);
     ui.mindarPose.innerText =
-      `Target: ${TARGET_NAMES[currentTargetIndex] || "None"} (Idx:${currentTargetIndex})\n` +
-      `Video: ${lastVideoSize.width}x${lastVideoSize.height} (${REQUESTED_VIDEO_HEIGHT}p set)\n` +
-      `Diagnosis: ${lastVideoSize.height >= REQUESTED_VIDEO_HEIGHT ? "Case B (MindAR Limit?)" : "Case A (Camera Limit?)"}\n` +
+      `Target: ${targetRegistry.nameOf(currentTargetIndex)} (Idx:${currentTargetIndex}, ${markerWidth}m)\n` +
+      `Video: ${lastVideoSize.width}x${lastVideoSize.height} (${REQUESTED_VIDEO_HEIGHT}p requested)\n` +
+      `Scale: ${calibration.describe()}\n` +
+      `Raw Dist: ${(relPos.length() * markerWidth).toFixed(3)}m\n` +
       `Rel: (${scaledPos.x.toFixed(3)}, ${scaledPos.y.toFixed(3)}, ${scaledPos.z.toFixed(3)})\n` +
       `Rot: (${degX.toFixed(1)}, ${degY.toFixed(1)}, ${degZ.toFixed(1)})\n` +
       `Dist: ${scaledPos.length().toFixed(3)}m`;
   }
 }
 
+// A width typed into the settings wins over the manifest.
+function markerWidthOf(targetIndex) {
+  return markerWidthOverride
+    ? PHYSICAL_MARKER_WIDTH
+    : targetRegistry.widthOf(targetIndex, PHYSICAL_MARKER_WIDTH);
+}
+
+function markerPoseFor(matrix, targetIndex) {
+  return markerPoseFromMatrix(matrix, markerWidthOf(targetIndex), calibration.scale);
+}
+
+function loadCalibration() {
+  if (!lastVideoSize.width) return;
+  const key = calibrationKey(deviceModel, lastVideoSize);
+  if (key === calibration.key) return;
+  calibration.load(key);
+  // A scale typed into settings before the camera started (or a pre-calibration bias).
+  const pendingScale = parseFloat(localStorage.getItem('distanceBias'));
+  if (pendingScale > 0) {
+    calibration.setManual(pendingScale);
+    localStorage.removeItem('distanceBias');
+  }
+}
+
+// Known-distance calibration: hold the phone at a measured distance from the
+// board; the MindAR distance (unscaled) over CALIBRATION_SAMPLES frames gives the scale.
+function startDistanceCalibration() {
+  const knownDistance = ui.calibDistanceInput ? parseFloat(ui.calibDistanceInput.value) : NaN;
+  if (!(knownDistance > 0)) {
+    alert(i18n.t('alert.invalidDistance'));
+    return;
+  }
+  if (!usesCamera() || !appState.is(AppState.INIT, AppState.MINDAR_READY)) {
+    log('Calibration is only available while scanning');
+    return;
+  }
+  if (ui.settingsModal) ui.settingsModal.style.display = 'none';
+  calibrationRun = { knownDistance, ratios: [] };
+  log(`Calibrating: aim at the board from ${knownDistance.toFixed(2)}m and hold still...`);
+  if (appState.is(AppState.INIT)) startExperience();
+}
+
+function collectCalibrationSample(candidate) {
+  if (!calibration.key) return;
+  const markerWidth = markerWidthOverride
+    ? PHYSICAL_MARKER_WIDTH
+    : targetRegistry.widthOf(candidate.index, PHYSICAL_MARKER_WIDTH);
+  const rawDistance = markerPoseFromMatrix(candidate.anchor.group.matrix, markerWidth, 1).position.length();
+  if (rawDistance <= 0) return;
+
+  const run = calibrationRun;
+  run.ratios.push(run.knownDistance / rawDistance);
+  if (run.ratios.length % 10 === 0) log(`Calibrating: ${run.ratios.length}/${CALIBRATION_SAMPLES}`);
+  if (run.ratios.length < CALIBRATION_SAMPLES) return;
+
+  calibrationRun = null;
+  const entry = calibration.addSamples(run.ratios, CALIBRATION_METHOD.KNOWN_DISTANCE);
+  if (entry) log(`Calibration done: MindAR distance x${entry.scale.toFixed(3)}`);
+}
+
 function updateMetrics() {
   if (!lastMindarRelPose) return;
 
@@ -470,26 +1005,21 @@ function updateMetrics() {
 
 function finalizeStabilization() {
   log('Stabilization Complete.');
-  if (poseBuffer.length === 0) {
-    error("No poses buffered!");
-    cancelPoseStabilization();
+  if (!fusedPose) {
+    error("No fused pose!");
+    appState.transition(AppState.MINDAR_READY, { reason: 'no-fused-pose' });
     return;
   }
-  const avgPos = new THREE.Vector3();
-  poseBuffer.forEach(p => avgPos.add(p.position));
-  avgPos.divideScalar(poseBuffer.length);
-  let avgQuat = poseBuffer[0].quaternion.clone();
-  for (let i = 1; i < poseBuffer.length; i++) {
-    avgQuat.slerp(poseBuffer[i].quaternion, 1 / (i + 1));
-  }
-  stabilizedPose = { position: avgPos, quaternion: avgQuat };
+  stabilizedPose = { position: fusedPose.position, quaternion: fusedPose.quaternion };
   transitionToWebXR();
 }
 
 // --- Phase 3: Transition to WebXR ---
 async function transitionToWebXR() {
-  currentState = AppState.WEBXR_STARTING;
   log('Stopping MindAR for WebXR...');
+  // Keep the controller (targets + worker) so RUNNING can re-anchor from XR camera frames.
+  mindarController = mindarThree.controller || null;
+  mindarPostMatrices = mindarThree.postMatrixs || null;
   mindarThree.stop();
   mindarThree.renderer.setAnimationLoop(null);
   mindarThree.renderer.dispose();
@@ -497,31 +1027,36 @@ async function transitionToWebXR() {
   if (video) video.remove();
   const canvas = document.querySelector('canvas');
   if (canvas) canvas.remove();
-  startWebXRSession();
+  appState.transition(AppState.WEBXR_STARTING);
 }
 
 async function startWebXRSession() {
   if (webxrSessionStarting) return;
   webxrSessionStarting = true;
   if (!navigator.xr) {
-    alert("WebXR not supported");
     webxrSessionStarting = false;
+    startViewerMode('reason.webxrFailed');
     return;
   }
   try {
     const session = await navigator.xr.requestSession('immersive-ar', {
-      requiredFeatures: ['local', 'hit-test'],
-      optionalFeatures: ['dom-overlay'],
-      domOverlay: { root: document.body }
+      requiredFeatures: ['local'],
+      // Each has a fallback: MindAR depth, no overlay UI, no re-anchor, local space, no occlusion.
+      optionalFeatures: ['hit-test', 'dom-overlay', 'camera-access', 'anchors', 'depth-sensing'],
+      domOverlay: { root: document.body },
+      depthSensing: { usagePreference: ['cpu-optimized'], dataFormatPreference: ['luminance-alpha', 'float32'] }
     });
     setupWebXRScene(session);
   } catch (e) {
     error("WebXR Start Failed: " + e);
+    webxrSessionStarting = false;
     if (String(e).includes('user activation')) {
       pendingWebXRStart = true;
       if (ui.webxrStartOverlay) ui.webxrStartOverlay.style.display = 'flex';
+    } else {
+      // MindAR is already torn down; fall back to the viewer rather than a dead end.
+      startViewerMode('reason.webxrFailed');
     }
-    webxrSessionStarting = false;
   }
 }
 
@@ -543,35 +1078,169 @@ function setupWebXRScene(session) {
   webxrRenderer.xr.setReferenceSpaceType('local');
   document.body.appendChild(webxrRenderer.domElement);
 
-  sceneManager = new SceneManager(scene, camera, log);
-  sceneManager.loadSceneConfig('/scene.json');
+  createSceneManager();
+  authoring = new SceneAuthoring({ sceneManager, logger: log });
+  authoring.setEnabled(isAuthoringMode());
+  if (targetRegistry) sceneManager.addBoardOccluders(targetRegistry.boardPanels(markerWidthOf));
   sceneManager.worldRoot.visible = false;
 
-  webxrRenderer.xr.setSession(session);
+  // The simulator renders to a plain WebGL canvas; three's XR manager needs a real session.
+  if (session.simulated) webxrRenderer.xr.enabled = false;
+  else webxrRenderer.xr.setSession(session);
 
   // --- Interaction ---
   const controller = webxrRenderer.xr.getController(0);
   controller.addEventListener('select', () => {
-    if (currentState !== AppState.RUNNING) return;
+    if (!appState.is(AppState.RUNNING)) return;
+    // The same touch just dragged, pinched or twisted an object.
+    if (gestures && gestures.suppressTap) return;
+    // Authoring taps only select (via the gesture layer); no scene events fire.
+    if (authoring.enabled) return;
     const hit = sceneManager.raycast(controller);
-    if (hit) {
-      log(`Hit: ${hit.userData.name}`);
-      if (hit.userData.url) openIframe(hit.userData.url);
-    }
+    if (hit) handleSceneTap(hit);
   });
   scene.add(controller);
-
-  const closeIframeBtn = document.getElementById('close-iframe');
-  if (closeIframeBtn) {
-    closeIframeBtn.addEventListener('click', () => {
-      const overlay = document.getElementById('iframe-overlay');
-      if (overlay) overlay.style.display = 'none';
+  gestures = new GestureController({
+    element: webxrRenderer.domElement,
+    camera,
+    sceneManager,
+    enabled: () => appState.is(AppState.RUNNING) && !contentPaused,
+    // Authoring can move anything, regardless of the visitor-facing flags.
+    permissions: object => (authoring.enabled ? { drag: true, pinch: true, rotate: true, scaleLock: true } : objectPermissions(object)),
+    pickAll: () => authoring.enabled,
+    logger: log
+  });
+  if (session.simulated) setupSimulatorView(controller);
+
+  if (Relocalizer.isSupported(session) && mindarController) {
+    relocalizer = new Relocalizer({
+      renderer: webxrRenderer,
+      controller: mindarController,
+      postMatrices: mindarPostMatrices,
+      targetSrc: MINDAR_TARGET_SRC,
+      logger: log
     });
+  } else {
+    log('Re-anchor unavailable (no camera-access)');
+  }
+  snapshot = new SnapshotCapture({ renderer: webxrRenderer, scene, camera, logger: log });
+  if (!session.simulated && !XRCameraImage.isSupported(session)) log('Snapshots without camera passthrough (no camera-access)');
+
+  if (ui.reanchorBtn) {
+    ui.reanchorBtn.style.display = relocalizer ? 'flex' : 'none';
+    ui.reanchorBtn.onclick = startReanchor;
+  }
+
+  if (DepthOcclusion.isSupported(session)) {
+    depthOcclusion = new DepthOcclusion({ scene, logger: log });
+    depthOcclusion.setEnabled(isDepthOcclusionEnabled());
+  } else if (!session.simulated) {
+    log('Depth sensing unavailable; only authored occluders hide content');
+  }
+
+  if (WorldAnchor.isSupported(session)) {
+    worldAnchor = new WorldAnchor({ storageKey: anchorStorageKey(), logger: log });
+  } else {
+    log('Anchors unavailable; world root stays in local space');
+  }
+  if (resumingFromAnchor) {
+    if (!worldAnchor) {
+      abortResume('anchors not supported');
+    } else {
+      worldAnchor.restore(session).catch(e => abortResume(e.message));
+    }
+  }
+
+  appState.transition(AppState.WORLD_LOCKING);
+  session.addEventListener('end', () => {
+    sceneManager.dispose();
+    location.reload();
+  });
+  if (session.simulated) {
+    webxrRenderer.setAnimationLoop(time => renderWebXR(time, session.createFrame(time, camera)));
+  } else {
+    webxrRenderer.setAnimationLoop(renderWebXR);
+  }
+}
+
+// The scene for the current target on the current scene / camera; resolves
+// once the scene is built.
+function createSceneManager() {
+  // The previous scene (e.g. MindAR-only content before the viewer fallback) goes away with its timers.
+  if (sceneManager) sceneManager.dispose();
+  sceneManager = new SceneManager(scene, camera, log);
+  sceneManager.eventRuntime.onOpenUrl = openIframe;
+  sceneManager.assets = assets;
+  sceneManager.i18n = i18n;
+  const dataBase = new URLSearchParams(location.search).get('data');
+  if (dataBase) {
+    // e.g. ?data=http://localhost:8787 serves panel feeds from a local fixture server
+    log(`Data panels use: ${dataBase}`);
+    sceneManager.resourceFetcher = (url) => {
+      const remote = new URL(url);
+      return defaultFetcher(new URL(remote.pathname + remote.search, dataBase).href);
+    };
   }
+  const sceneConfig = resolveSceneConfig();
+  log(`Scene for ${targetRegistry.nameOf(currentTargetIndex)} @ ${MINDAR_TARGET_SRC}: ${sceneConfig.url}` +
+    (sceneConfig.zoneId !== null ? ` (zone ${sceneConfig.zoneId})` : ''));
+  return sceneManager.loadSceneConfig(sceneConfig.url, { zoneId: sceneConfig.zoneId });
+}
 
-  currentState = AppState.WORLD_LOCKING;
-  session.addEventListener('end', () => location.reload());
-  webxrRenderer.setAnimationLoop(renderWebXR);
+function handleSceneTap(hit) {
+  log(`Hit: ${hit.userData.name}`);
+  analytics.track(ANALYTICS_EVENT.TAP, { objectId: hit.userData.id, name: hit.userData.name || null });
+  if (hit.userData.url) openIframe(hit.userData.url);
+  sceneManager.triggerTap(hit);
+}
+
+// Mouse stands in for the phone: drag looks around, a click fires `select`
+// along the ray under the cursor. There is no camera passthrough, so draw a
+// floor grid (about 1.4m below the starting viewpoint) for orientation.
+function setupSimulatorView(controller) {
+  scene.background = new THREE.Color(0x202428);
+  const grid = new THREE.GridHelper(20, 40, 0x666666, 0x3a3a3a);
+  grid.position.y = -1.4;
+  scene.add(grid);
+
+  const canvas = webxrRenderer.domElement;
+  simulator.viewer.attach(canvas);
+  canvas.addEventListener('click', (e) => {
+    if (simulator.viewer.dragged) return;
+    const pointer = new THREE.Vector2(
+      (e.clientX / window.innerWidth) * 2 - 1,
+      -(e.clientY / window.innerHeight) * 2 + 1
+    );
+    const ray = new THREE.Raycaster();
+    ray.setFromCamera(pointer, camera);
+    controller.position.copy(ray.ray.origin);
+    controller.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, -1), ray.ray.direction);
+    controller.updateMatrixWorld();
+    controller.dispatchEvent({ type: 'select' });
+  });
+  window.addEventListener('resize', () => {
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    webxrRenderer.setSize(window.innerWidth, window.innerHeight);
+  });
+}
+
+// Scene selection: ?scene= / ?zone= query overrides, then the detected target's
+// manifest entry, then the manifest default, then the bundled /scene.json.
+function resolveSceneConfig(targetIndex = currentTargetIndex) {
+  const params = new URLSearchParams(location.search);
+  const fromTarget = targetRegistry ? targetRegistry.sceneFor(targetIndex) : { url: null, zoneId: null };
+  const zoneParam = params.get('zone');
+  let zoneId = fromTarget.zoneId;
+  if (zoneParam) {
+    const parsed = Number(zoneParam);
+    if (Number.isFinite(parsed)) zoneId = parsed;
+    else log(`Ignoring ?zone=${zoneParam}: not a number; using zone ${zoneId}`);
+  }
+  return {
+    url: params.get('scene') || fromTarget.url || '/scene.json',
+    zoneId
+  };
 }
 
 function openIframe(url) {
@@ -581,22 +1250,39 @@ function openIframe(url) {
     iframe.src = url;
     overlay.style.display = 'block';
     log(`Opening: ${url}`);
+    analytics.track(ANALYTICS_EVENT.IFRAME_OPEN, { url });
   }
 }
 
 let stableFramesCount = 0;
-let lockWaitFrames = 0;
+const LOCK_STABLE_FRAMES = 10;
+// Lock anyway if SLAM has not reported a non-emulated pose within this window.
+const LOCK_WAIT_MS = 1000;
+let lockWaitExpired = false;
+// Spec 4.5: depth comes from a WebXR hit test along the marker direction, not MindAR Z.
+const HIT_TEST_TIMEOUT_MS = 1500;
+let depthProbe = null;
 function renderWebXR(timestamp, frame) {
   const delta = clock.getDelta();
-  sceneManager.update(delta, camera);
+  if (!contentPaused) sceneManager.update(delta, camera);
   if (!frame) return;
+  if (depthOcclusion) depthOcclusion.update(frame, webxrRenderer.xr.getReferenceSpace());
   const viewerPose = frame.getViewerPose(webxrRenderer.xr.getReferenceSpace());
-  if (currentState === AppState.WORLD_LOCKING) {
+  if (traceRecorder && viewerPose) traceRecorder.recordViewer(viewerPose.transform, viewerPose.emulatedPosition);
+  if (appState.is(AppState.WORLD_LOCKING) && resumingFromAnchor) {
+    if (worldAnchor && worldAnchor.applyTo(frame, webxrRenderer.xr.getReferenceSpace(), sceneManager.worldRoot)) {
+      log('Resumed from saved world anchor.');
+      trackLock('anchor');
+      appState.transition(AppState.RUNNING, { resumed: true });
+    }
+  } else if (appState.is(AppState.WORLD_LOCKING)) {
     if (!viewerPose) return;
-    lockWaitFrames++;
     if (!viewerPose.emulatedPosition) stableFramesCount++;
     else stableFramesCount = 0;
-    if (stableFramesCount > 10 || lockWaitFrames > 60) lockWorldOrigin(viewerPose);
+    if (stableFramesCount > LOCK_STABLE_FRAMES || lockWaitExpired) {
+      if (!depthProbe) beginDepthProbe(frame.session, viewerPose);
+      else updateDepthProbe(frame);
+    }
   }
   if (viewerPose && ui.cameraPose) {
     const camPos = viewerPose.transform.position;
@@ -630,65 +1316,343 @@ function renderWebXR(timestamp, frame) {
         ? `stb: (${stabilizedPos.x.toFixed(3)}, ${stabilizedPos.y.toFixed(3)}, ${stabilizedPos.z.toFixed(3)})`
         : `stb: (n/a)`);
   }
-  if (currentState === AppState.RUNNING) {
-    if (ui.poseInfo) ui.poseInfo.innerText = viewerPose && viewerPose.emulatedPosition ? "SLAM: LOST" : "SLAM: Tracking";
+  if (worldAnchor && appState.is(AppState.RUNNING)) {
+    const refSpace = webxrRenderer.xr.getReferenceSpace();
+    if (pendingAnchorPose && !sceneManager.rootBlend) {
+      worldAnchor.create(frame, refSpace, pendingAnchorPose.position, pendingAnchorPose.quaternion,
+        { targetIndex: currentTargetIndex });
+      pendingAnchorPose = null;
+    } else if (!sceneManager.rootBlend) {
+      worldAnchor.applyTo(frame, refSpace, sceneManager.worldRoot);
+    }
+  }
+  if (relocalizer && appState.is(AppState.RUNNING)) {
+    relocalizer.onXRFrame(frame, webxrRenderer.xr.getReferenceSpace());
   }
+  if (appState.is(AppState.RUNNING)) updateTrackingQuality(timestamp, viewerPose);
+  if (appState.is(AppState.RUNNING) && authoring.enabled) updateAuthoring(frame);
   webxrRenderer.render(scene, camera);
+  if (snapshot) snapshot.onFrame(frame, webxrRenderer.xr.getReferenceSpace());
 }
 
-function lockWorldOrigin(viewerPose) {
-  log('Locking World Origin...');
+function updateTrackingQuality(time, viewerPose) {
+  const status = trackingMonitor.update(time, viewerPose && {
+    position: new THREE.Vector3().copy(viewerPose.transform.position),
+    quaternion: new THREE.Quaternion().copy(viewerPose.transform.orientation),
+    emulated: viewerPose.emulatedPosition
+  });
+
+  if (status.relocalization) {
+    const { distance, angleDeg } = status.relocalization;
+    log(`SLAM re-localized: pose jumped ${(distance * 100).toFixed(1)}cm / ${angleDeg.toFixed(1)}° on recovery`);
+    analytics.track(ANALYTICS_EVENT.RELOCALIZED, { distance, angleDeg });
+    // An XRAnchor follows the re-localized map by itself; otherwise offer a re-anchor.
+    if (!worldAnchor && relocalizer) showTrackingHint(i18n.t('hint.relocalized'), 4000);
+  }
+  if (!status.changed) return;
+
+  slamDisplay = { quality: status.quality, reason: status.reason || null };
+  renderRuntimeStatus();
+  log(`SLAM: ${status.previous} -> ${status.quality}${status.reason ? ` (${status.reason})` : ''}`);
+  analytics.track(ANALYTICS_EVENT.SLAM, { from: status.previous, to: status.quality, reason: status.reason || null });
+
+  contentPaused = status.quality === TRACKING_QUALITY.LOST;
+  sceneManager.worldRoot.visible = !contentPaused;
+  if (contentPaused) showTrackingHint(i18n.t('hint.lost'));
+  else if (status.previous === TRACKING_QUALITY.LOST) hideTrackingHint();
+}
+
+let trackingHintTimer = null;
+function showTrackingHint(text, duration) {
+  if (!ui.trackingHint) return;
+  clearTimeout(trackingHintTimer);
+  ui.trackingHint.innerText = text;
+  ui.trackingHint.style.display = 'block';
+  if (duration) trackingHintTimer = setTimeout(hideTrackingHint, duration);
+}
+
+function hideTrackingHint() {
+  clearTimeout(trackingHintTimer);
+  if (ui.trackingHint) ui.trackingHint.style.display = 'none';
+}
+
+function takeSnapshot() {
+  if (!snapshot || !appState.is(AppState.RUNNING)) return;
+  if (ui.snapshotBtn) ui.snapshotBtn.classList.add('busy');
+  snapshot.request()
+    .then(blob => gallery.add(blob))
+    .then(photo => {
+      log(`Snapshot #${photo.id} (${Math.round(photo.blob.size / 1024)} KB)`);
+      gallery.openPreview(photo);
+    })
+    .catch(e => error('Snapshot failed: ' + e))
+    .finally(() => {
+      if (ui.snapshotBtn) ui.snapshotBtn.classList.remove('busy');
+    });
+}
+
+function beginDepthProbe(session, viewerPose) {
   if (!stabilizedPose) {
     error("No stabilized pose; cannot lock world origin.");
     return;
   }
-  lockWaitFrames = 0;
   const cameraPosition = new THREE.Vector3().copy(viewerPose.transform.position);
   const cameraQuaternion = new THREE.Quaternion().copy(viewerPose.transform.orientation);
+  // Fixed world-space ray from the camera through the stabilized marker center.
+  const direction = stabilizedPose.position.clone().normalize().applyQuaternion(cameraQuaternion);
+  depthProbe = { source: null, startTime: performance.now(), cameraPosition, cameraQuaternion, direction };
+
+  const probe = depthProbe;
+  if (!session.requestHitTestSource || typeof XRRay === 'undefined') {
+    log('Hit test unavailable; using MindAR depth');
+    return;
+  }
+  session.requestHitTestSource({
+    space: webxrRenderer.xr.getReferenceSpace(),
+    offsetRay: new XRRay(
+      { x: cameraPosition.x, y: cameraPosition.y, z: cameraPosition.z },
+      { x: direction.x, y: direction.y, z: direction.z, w: 0 }
+    ),
+    entityTypes: ['plane', 'point']
+  }).then(source => {
+    if (depthProbe === probe) probe.source = source;
+    else source.cancel();
+  }).catch(e => log('Hit test source failed: ' + e));
+}
 
-  // 1. Get stabilized pose in Camera Space (relPos.z is negative if in front)
-  const relPos = stabilizedPose.position.clone();
-  const relQuat = stabilizedPose.quaternion.clone();
+function updateDepthProbe(frame) {
+  const probe = depthProbe;
+  let markerPose = stabilizedPose;
+  let hitDistance = null;
 
-  // 2. Adjust Origin: The "Top Edge Center" relative to the detected Target center
-  // If Target is at (0,-0.29,0) relative to Top, then Top is at (0,+0.29,0) relative to Target
-  const targetToOrigin = TARGET_OFFSETS[currentTargetIndex].clone().multiplyScalar(-1);
+  if (probe.source) {
+    const results = frame.getHitTestResults(probe.source);
+    const hitPose = results.length > 0 ? results[0].getPose(webxrRenderer.xr.getReferenceSpace()) : null;
+    if (hitPose) {
+      hitDistance = new THREE.Vector3().copy(hitPose.transform.position).distanceTo(probe.cameraPosition);
+    }
+  }
 
-  // Important: apply target-to-origin offset in marker's local space then transform to camera space
-  const originInCamSpace = relPos.clone().add(targetToOrigin.applyQuaternion(relQuat));
+  if (hitDistance === null) {
+    if (performance.now() - probe.startTime < HIT_TEST_TIMEOUT_MS) return;
+    log('Hit test timed out; falling back to MindAR depth');
+  } else {
+    const mindarDistance = stabilizedPose.position.length();
+    log(`Hit-test depth: ${hitDistance.toFixed(3)}m (MindAR ${mindarDistance.toFixed(3)}m)`);
+    // Every lock with a hit doubles as a calibration sample against the unscaled MindAR distance.
+    calibration.addSamples([hitDistance / (mindarDistance / calibration.scale)], CALIBRATION_METHOD.HIT_TEST);
+    markerPose = {
+      position: stabilizedPose.position.clone().setLength(hitDistance),
+      quaternion: stabilizedPose.quaternion.clone()
+    };
+  }
 
-  // 3. Transformation to World Space
-  // We place the world root where the origin is calculated to be in world space
-  const markerWorldPos = cameraPosition.clone().add(originInCamSpace.clone().applyQuaternion(cameraQuaternion));
+  if (probe.source) probe.source.cancel();
+  depthProbe = null;
+  if (traceRecorder) traceRecorder.recordEvent('depth', { hitDistance });
+  trackLock(hitDistance !== null ? 'hit-test' : 'mindar', { hitDistance });
+  lockWorldOrigin(probe.cameraPosition, probe.cameraQuaternion, markerPose);
+}
 
-  markerWorldPos.y += WORLD_Y_OFFSET;
-  const markerWorldRot = cameraQuaternion.clone().multiply(relQuat);
-  let finalRotation = markerWorldRot;
-  if (USE_GRAVITY_ALIGN) {
-    if (ALIGN_MODE === "full") {
-      finalRotation = markerWorldRot;
-    } else {
-      // gravity+board: keep Y vertical, align Z to marker normal projected on XZ.
-      const forward = new THREE.Vector3(0, 0, FLIP_MARKER_Z ? 1 : -1).applyQuaternion(markerWorldRot);
-      const up = new THREE.Vector3(0, 1, 0);
-      const fwd = forward.clone().projectOnPlane(up);
-      if (fwd.lengthSq() < 1e-6) fwd.set(0, 0, -1);
-      fwd.normalize();
-      const right = new THREE.Vector3().crossVectors(up, fwd).normalize();
-      const correctedForward = new THREE.Vector3().crossVectors(right, up).normalize();
-      const m = new THREE.Matrix4().makeBasis(right, up, correctedForward);
-      finalRotation = new THREE.Quaternion().setFromRotationMatrix(m);
-    }
+function trackLock(depth, extra = {}) {
+  analytics.track(ANALYTICS_EVENT.LOCK, {
+    targetIndex: currentTargetIndex,
+    durationMs: journeyStartTime !== null ? Math.round(performance.now() - journeyStartTime) : null,
+    depth,
+    ...extra
+  });
+}
+
+function lockWorldOrigin(cameraPosition, cameraQuaternion, markerPose) {
+  log('Locking World Origin...');
+
+  const origin = computeWorldOrigin(cameraPosition, cameraQuaternion, markerPose, targetRegistry, currentTargetIndex, ALIGNMENT);
+  sceneManager.worldRoot.position.copy(origin.position);
+  sceneManager.worldRoot.quaternion.copy(origin.quaternion);
+  if (traceRecorder) {
+    traceRecorder.recordEvent('lock', {
+      targetIndex: currentTargetIndex,
+      cameraPosition: cameraPosition.toArray(),
+      cameraQuaternion: cameraQuaternion.toArray(),
+      position: origin.position.toArray(),
+      quaternion: origin.quaternion.toArray()
+    });
   }
-  sceneManager.worldRoot.position.copy(markerWorldPos);
-  sceneManager.worldRoot.quaternion.copy(finalRotation);
+  pendingAnchorPose = origin;
+  appState.transition(AppState.RUNNING);
+  stabilizedPose = null;
+}
+
+function enterRunning() {
   sceneManager.worldRoot.visible = true;
   if (ui.transition) ui.transition.style.display = 'none';
   if (ui.runtime) ui.runtime.style.display = 'block';
-  currentState = AppState.RUNNING;
+  updateAuthoringPanel();
   log('Transition Complete.');
-  stabilizedPose = null;
-  poseBuffer = null;
+}
+
+// --- Occlusion: depth-sensing setting ---
+// Depth-sensing occlusion is on unless turned off in the settings (it costs a
+// depth map upload per frame).
+function isDepthOcclusionEnabled() {
+  return localStorage.getItem('depthOcclusion') !== '0';
+}
+
+// --- Language ---
+// 'auto' (or nothing saved) follows navigator.languages.
+function resolveLanguage() {
+  const saved = localStorage.getItem('language');
+  if (saved && saved !== 'auto' && LANGUAGES.includes(saved)) return saved;
+  return detectLanguage(navigator.languages || [navigator.language]);
+}
+
+// Overlay text switches at once; scene content is localized when it is built,
+// so an already built scene keeps its language until the next session.
+function setLanguage(value) {
+  if (value === 'auto') localStorage.removeItem('language');
+  else localStorage.setItem('language', value);
+  i18n.setLanguage(resolveLanguage());
+  i18n.apply();
+  renderExperience();
+  renderRuntimeStatus();
+  log(`Language: ${i18n.language}`);
+}
+
+// --- Authoring: staff fix object placement on site and export scene.json ---
+function isAuthoringMode() {
+  return localStorage.getItem('authoringMode') === '1';
+}
+
+function setAuthoringMode(enabled) {
+  localStorage.setItem('authoringMode', enabled ? '1' : '0');
+  if (authoring) authoring.setEnabled(enabled);
+  if (!enabled && authoringHitSource && authoringHitSource !== 'pending') {
+    authoringHitSource.cancel();
+    authoringHitSource = null;
+    authoringHitPoint = null;
+  }
+  updateAuthoringPanel();
+}
+
+function updateAuthoringPanel() {
+  if (!ui.authoringPanel) return;
+  const visible = !!authoring && authoring.enabled && appState.is(AppState.RUNNING);
+  ui.authoringPanel.style.display = visible ? 'block' : 'none';
+}
+
+function setupAuthoringPanel() {
+  if (!ui.authoringPanel) return;
+  ui.authoringPanel.querySelectorAll('[data-nudge]').forEach(button => {
+    button.addEventListener('click', () => {
+      const selected = sceneManager && sceneManager.getSelectedObject();
+      if (selected) authoring.nudge(selected, NUDGES[button.dataset.nudge], camera);
+    });
+  });
+  const on = (id, handler) => {
+    const button = document.getElementById(id);
+    if (button) button.addEventListener('click', handler);
+  };
+  on('authoring-snap', () => {
+    const selected = sceneManager && sceneManager.getSelectedObject();
+    if (!selected) return;
+    if (authoringHitPoint) authoring.placeAt(selected, authoringHitPoint);
+    else log('Snap: no surface under the screen center');
+  });
+  on('authoring-reset', () => {
+    const selected = sceneManager && sceneManager.getSelectedObject();
+    if (selected) authoring.reset(selected);
+  });
+  on('authoring-export-diff', () => authoring.download('diff'));
+  on('authoring-export-full', () => authoring.download('full'));
+}
+
+function updateAuthoring(frame) {
+  authoring.update();
+
+  const session = frame.session;
+  if (!authoringHitSource && session.requestHitTestSource && !session.simulated) {
+    authoringHitSource = 'pending';
+    session.requestReferenceSpace('viewer')
+      .then(space => session.requestHitTestSource({ space }))
+      .then(source => { authoringHitSource = source; })
+      .catch(e => log('Authoring hit test unavailable: ' + e));
+  }
+  if (authoringHitSource && authoringHitSource !== 'pending') {
+    const results = frame.getHitTestResults(authoringHitSource);
+    const pose = results.length > 0 ? results[0].getPose(webxrRenderer.xr.getReferenceSpace()) : null;
+    authoringHitPoint = pose ? new THREE.Vector3().copy(pose.transform.position) : null;
+    authoring.setReticle(authoringHitPoint);
+  }
+
+  if (!ui.authoringSelection) return;
+  const selected = sceneManager.getSelectedObject();
+  let text = i18n.t('authoring.prompt');
+  if (selected) {
+    const p = selected.position;
+    const yaw = THREE.MathUtils.radToDeg(new THREE.Euler().setFromQuaternion(selected.quaternion, 'YXZ').y);
+    const changed = authoring.isChanged(selected) ? i18n.t('authoring.changed') : '';
+    text = `${selected.userData.name || i18n.t('authoring.unnamed')} #${selected.userData.id}${changed}\n` +
+      `(${p.x.toFixed(2)}, ${p.y.toFixed(2)}, ${p.z.toFixed(2)}) yaw ${yaw.toFixed(0)}° x${selected.scale.x.toFixed(3)}`;
+  }
+  if (ui.authoringSelection.innerText !== text) ui.authoringSelection.innerText = text;
+}
+
+// The saved anchor could not be used: drop it and restart with a normal scan.
+function abortResume(reason) {
+  if (!resumingFromAnchor) return;
+  resumingFromAnchor = false;
+  error(`Resume failed (${reason}); please scan the board again`);
+  new WorldAnchor({ storageKey: anchorStorageKey() }).forget();
+  const session = webxrRenderer && webxrRenderer.xr.getSession();
+  if (session) session.end();
+  else location.reload();
+}
+
+// #slam-status and #pose-info are written at runtime, so they aren't
+// data-i18n; this redraws them in the current language.
+function renderRuntimeStatus() {
+  const { className, label } = SLAM_STATUS[slamDisplay.quality];
+  const text = i18n.t(label);
+  if (ui.slamStatus) {
+    ui.slamStatus.className = className;
+    ui.slamStatus.innerText = slamDisplay.reason && slamDisplay.quality !== TRACKING_QUALITY.GOOD ? `${text} (${slamDisplay.reason})` : text;
+  }
+  if (ui.poseInfo) ui.poseInfo.innerText = i18n.t(poseInfoKey);
+}
+
+// --- Re-anchor: correct accumulated drift without leaving the session ---
+async function startReanchor() {
+  if (!relocalizer || relocalizer.active || !appState.is(AppState.RUNNING)) return;
+  if (ui.reanchorBtn) ui.reanchorBtn.classList.add('active');
+  poseInfoKey = 'reanchor.prompt';
+  renderRuntimeStatus();
+
+  const samples = await relocalizer.start(targetRegistry.indices);
+  if (ui.reanchorBtn) ui.reanchorBtn.classList.remove('active');
+  poseInfoKey = 'runtime.view';
+  renderRuntimeStatus();
+  if (samples.length === 0) {
+    log('Re-anchor: marker not found, keeping current anchor');
+    return;
+  }
+
+  const origins = samples.map(sample => {
+    // Matched with the XR camera's own intrinsics: no MindAR-video distance calibration.
+    const markerPose = markerPoseFromMatrix(sample.markerMatrix, markerWidthOf(sample.targetIndex));
+    return computeWorldOrigin(sample.viewerPosition, sample.viewerQuaternion, markerPose, targetRegistry,
+      sample.targetIndex, ALIGNMENT);
+  });
+  const position = new THREE.Vector3();
+  origins.forEach(o => position.add(o.position));
+  position.divideScalar(origins.length);
+  const quaternion = averageQuaternions(origins.map(o => o.quaternion));
+
+  const root = sceneManager.worldRoot;
+  const driftCm = root.position.distanceTo(position) * 100;
+  const driftDeg = THREE.MathUtils.radToDeg(root.quaternion.angleTo(quaternion));
+  log(`Re-anchor: drift ${driftCm.toFixed(1)}cm / ${driftDeg.toFixed(1)}° over ${origins.length} samples`);
+  sceneManager.blendWorldRootTo(position, quaternion, REANCHOR_BLEND_SECONDS);
+  pendingAnchorPose = { position, quaternion };
 }
 
 init();
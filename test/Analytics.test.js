@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Analytics, ANALYTICS_EVENT, toNDJSON } from '../src/Analytics.js';
+import { MemoryAnalyticsQueue } from '../src/AnalyticsQueue.js';
+
+// Collector stand-in: records posted batches, or fails while `down`.
+function fakeCollector() {
+    const collector = {
+        down: false,
+        batches: [],
+        fetch: (url, init) => {
+            if (collector.down) return Promise.reject(new Error('offline'));
+            collector.batches.push(JSON.parse(init.body).events);
+            return Promise.resolve({ ok: true, status: 204 });
+        }
+    };
+    return collector;
+}
+
+function analytics(options = {}) {
+    let time = 1000;
+    const collector = fakeCollector();
+    const queue = new MemoryAnalyticsQueue();
+    const instance = new Analytics({
+        endpoint: 'http://localhost:8787/events',
+        fetch: collector.fetch,
+        queue,
+        now: () => time++,
+        session: 's1',
+        ...options
+    });
+    return { analytics: instance, collector, queue };
+}
+
+test('events carry session, sequence and type; unknown types are dropped', () => {
+    const { analytics: a } = analytics();
+    const seen = [];
+    a.subscribe(event => seen.push(event.type));
+    const tap = a.track(ANALYTICS_EVENT.TAP, { objectId: 7, name: 'Deer' });
+    assert.equal(a.track('made_up', {}), null);
+    a.track(ANALYTICS_EVENT.IFRAME_OPEN, { url: 'https://example.com' });
+
+    assert.equal(tap.session, 's1');
+    assert.deepEqual(a.history.map(e => e.seq), [0, 1]);
+    assert.deepEqual(seen, ['tap', 'iframe_open']);
+    assert.deepEqual(tap.data, { objectId: 7, name: 'Deer' });
+});
+
+test('flush sends queued events in batches', async () => {
+    const { analytics: a, collector, queue } = analytics({ batchSize: 2 });
+    // The second event fills a batch and starts a flush; the explicit one follows it.
+    [1, 2, 3].forEach(id => a.track(ANALYTICS_EVENT.TAP, { objectId: id }));
+    await a.flush();
+    assert.deepEqual(collector.batches.map(batch => batch.map(e => e.data.objectId)), [[1, 2], [3]]);
+    assert.equal(await queue.count(), 0);
+});
+
+test('events tracked while offline stay queued and go out in order later', async () => {
+    const { analytics: a, collector, queue } = analytics();
+    collector.down = true;
+    a.track(ANALYTICS_EVENT.SLAM, { from: 'good', to: 'lost' });
+    a.track(ANALYTICS_EVENT.SLAM, { from: 'lost', to: 'good' });
+    assert.equal(await a.flush(), 0);
+    assert.equal(await queue.count(), 2);
+
+    collector.down = false;
+    a.track(ANALYTICS_EVENT.TAP, { objectId: 1 });
+    assert.equal(await a.flush(), 3);
+    assert.deepEqual(collector.batches.flat().map(e => e.seq), [0, 1, 2]);
+});
+
+test('nothing is queued without an endpoint, but events still export', async () => {
+    const { analytics: a, queue } = analytics({ endpoint: null });
+    a.track(ANALYTICS_EVENT.LOCK, { targetIndex: 0, durationMs: 5200, depth: 'hit-test' });
+    a.track(ANALYTICS_EVENT.TAP, { objectId: 3 });
+    assert.equal(await a.flush(), 0);
+    assert.equal(await queue.count(), 0);
+
+    const lines = a.toNDJSON().trimEnd().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(e => e.type), ['lock', 'tap']);
+    assert.equal(lines[0].data.durationMs, 5200);
+    assert.equal(toNDJSON([]), '');
+});
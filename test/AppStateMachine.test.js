@@ -0,0 +1,244 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AppStateMachine, AppState, MIN_TRACKING_FRAMES } from '../src/AppStateMachine.js';
+
+// Manual clock so timeouts can be fired deterministically.
+function fakeTimers() {
+    let nextId = 1;
+    const pending = new Map();
+    return {
+        pending,
+        setTimeout: (fn, ms) => {
+            const id = nextId++;
+            pending.set(id, { fn, ms });
+            return id;
+        },
+        clearTimeout: (id) => pending.delete(id),
+        fireAll() {
+            const due = [...pending.entries()];
+            pending.clear();
+            due.forEach(([, t]) => t.fn());
+        }
+    };
+}
+
+function machine(options = {}) {
+    const timers = fakeTimers();
+    const sm = new AppStateMachine({ setTimeout: timers.setTimeout, clearTimeout: timers.clearTimeout, ...options });
+    return { sm, timers };
+}
+
+function toStabilizing(sm) {
+    sm.transition(AppState.MINDAR_READY);
+    sm.transition(AppState.MINDAR_TRACKING, { consecutiveFrames: MIN_TRACKING_FRAMES });
+    sm.transition(AppState.POSE_STABILIZING);
+}
+
+test('starts in INIT', () => {
+    const { sm } = machine();
+    assert.equal(sm.state, AppState.INIT);
+    assert.ok(sm.is(AppState.INIT, AppState.RUNNING));
+});
+
+test('walks the full handoff to RUNNING', () => {
+    const { sm } = machine();
+    toStabilizing(sm);
+    assert.ok(sm.transition(AppState.WEBXR_STARTING));
+    assert.ok(sm.transition(AppState.WORLD_LOCKING));
+    assert.ok(sm.transition(AppState.RUNNING));
+    assert.deepEqual(sm.history.map(e => e.to), [
+        AppState.MINDAR_READY,
+        AppState.MINDAR_TRACKING,
+        AppState.POSE_STABILIZING,
+        AppState.WEBXR_STARTING,
+        AppState.WORLD_LOCKING,
+        AppState.RUNNING
+    ]);
+});
+
+test('rejects transitions that are not in the table', () => {
+    const { sm } = machine();
+    const events = [];
+    sm.subscribe(e => events.push(e));
+
+    assert.equal(sm.transition(AppState.RUNNING), false);
+    assert.equal(sm.state, AppState.INIT);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'rejected');
+    assert.equal(events[0].to, AppState.RUNNING);
+});
+
+test('tracking requires N consecutive frames', () => {
+    const { sm } = machine();
+    sm.transition(AppState.MINDAR_READY);
+
+    assert.equal(sm.transition(AppState.MINDAR_TRACKING, { consecutiveFrames: MIN_TRACKING_FRAMES - 1 }), false);
+    assert.equal(sm.transition(AppState.MINDAR_TRACKING), false);
+    assert.equal(sm.state, AppState.MINDAR_READY);
+
+    assert.ok(sm.transition(AppState.MINDAR_TRACKING, { consecutiveFrames: MIN_TRACKING_FRAMES }));
+    assert.equal(sm.state, AppState.MINDAR_TRACKING);
+});
+
+test('losing the target while stabilizing aborts back to MINDAR_READY', () => {
+    const { sm, timers } = machine();
+    let stabilizeCleanups = 0;
+    let scanningShown = 0;
+    sm.onExit(AppState.POSE_STABILIZING, () => stabilizeCleanups++);
+    sm.onEnter(AppState.MINDAR_READY, () => scanningShown++);
+
+    toStabilizing(sm);
+    let handedOff = false;
+    sm.setStateTimeout(1000, () => { handedOff = true; });
+
+    assert.ok(sm.transition(AppState.MINDAR_READY, { reason: 'target-lost' }));
+    assert.equal(stabilizeCleanups, 1);
+    assert.equal(scanningShown, 2);
+    assert.equal(timers.pending.size, 0);
+    timers.fireAll();
+    assert.equal(handedOff, false);
+    assert.equal(sm.history.at(-1).payload.reason, 'target-lost');
+});
+
+test('losing the target during tracking also aborts', () => {
+    const { sm } = machine();
+    sm.transition(AppState.MINDAR_READY);
+    sm.transition(AppState.MINDAR_TRACKING, { consecutiveFrames: MIN_TRACKING_FRAMES });
+    assert.ok(sm.transition(AppState.MINDAR_READY, { reason: 'target-lost' }));
+});
+
+test('the target cannot be lost once WebXR is starting', () => {
+    const { sm } = machine();
+    toStabilizing(sm);
+    sm.transition(AppState.WEBXR_STARTING);
+    assert.equal(sm.transition(AppState.MINDAR_READY, { reason: 'target-lost' }), false);
+    assert.equal(sm.state, AppState.WEBXR_STARTING);
+});
+
+test('user-activation retry re-enters WEBXR_STARTING', () => {
+    const { sm } = machine();
+    const starts = [];
+    const exits = [];
+    sm.onEnter(AppState.WEBXR_STARTING, ({ payload }) => starts.push(payload));
+    sm.onExit(AppState.WEBXR_STARTING, ({ to }) => exits.push(to));
+
+    toStabilizing(sm);
+    sm.transition(AppState.WEBXR_STARTING);
+    assert.ok(sm.transition(AppState.WEBXR_STARTING, { retry: true }));
+    assert.deepEqual(starts, [{}, { retry: true }]);
+    assert.deepEqual(exits, [AppState.WEBXR_STARTING]);
+
+    assert.ok(sm.transition(AppState.WORLD_LOCKING));
+});
+
+test('the viewer fallback is reachable until the XR session runs, and is final', () => {
+    for (const setup of [() => {}, sm => sm.transition(AppState.MINDAR_READY), sm => sm.transition(AppState.WEBXR_STARTING, { resume: true })]) {
+        const { sm } = machine();
+        setup(sm);
+        assert.ok(sm.transition(AppState.VIEWER, { reason: 'reason.cameraFailed' }));
+        assert.equal(sm.transition(AppState.MINDAR_READY), false);
+    }
+    const { sm } = machine();
+    toStabilizing(sm);
+    assert.equal(sm.transition(AppState.VIEWER), false);
+});
+
+test('resuming from a saved anchor skips the scan', () => {
+    const { sm } = machine();
+    assert.ok(sm.transition(AppState.WEBXR_STARTING, { resume: true }));
+    assert.ok(sm.transition(AppState.WORLD_LOCKING));
+});
+
+test('lock timeout fires while WORLD_LOCKING', () => {
+    const { sm, timers } = machine();
+    let expired = false;
+    sm.onEnter(AppState.WORLD_LOCKING, () => sm.setStateTimeout(1000, () => { expired = true; }));
+
+    toStabilizing(sm);
+    sm.transition(AppState.WEBXR_STARTING);
+    sm.transition(AppState.WORLD_LOCKING);
+    assert.equal(timers.pending.size, 1);
+    assert.equal([...timers.pending.values()][0].ms, 1000);
+
+    timers.fireAll();
+    assert.equal(expired, true);
+    assert.equal(sm.stateTimers.length, 0);
+});
+
+test('lock timeout is cleared when the lock completes first', () => {
+    const { sm, timers } = machine();
+    let expired = false;
+    sm.onEnter(AppState.WORLD_LOCKING, () => sm.setStateTimeout(1000, () => { expired = true; }));
+
+    toStabilizing(sm);
+    sm.transition(AppState.WEBXR_STARTING);
+    sm.transition(AppState.WORLD_LOCKING);
+    sm.transition(AppState.RUNNING);
+
+    assert.equal(timers.pending.size, 0);
+    timers.fireAll();
+    assert.equal(expired, false);
+});
+
+test('a timer that outlives its state is ignored', () => {
+    // e.g. a host clearTimeout that lost the race with the callback
+    const { sm, timers } = machine({ clearTimeout: () => {} });
+    let fired = false;
+    toStabilizing(sm);
+    sm.setStateTimeout(1000, () => { fired = true; });
+    sm.transition(AppState.MINDAR_READY);
+    timers.fireAll();
+    assert.equal(fired, false);
+});
+
+test('transition events carry from, to, payload and time, before entry hooks run', () => {
+    let now = 100;
+    const { sm } = machine({ now: () => now });
+    const order = [];
+    sm.subscribe(e => order.push(`event:${e.to}`));
+    sm.onEnter(AppState.MINDAR_READY, () => order.push('enter:MINDAR_READY'));
+    sm.onExit(AppState.INIT, () => order.push('exit:INIT'));
+
+    now = 250;
+    sm.transition(AppState.MINDAR_READY, { source: 'test' });
+    assert.deepEqual(order, ['exit:INIT', 'event:MINDAR_READY', 'enter:MINDAR_READY']);
+    assert.deepEqual(sm.history[0], {
+        type: 'transition',
+        from: AppState.INIT,
+        to: AppState.MINDAR_READY,
+        payload: { source: 'test' },
+        at: 250
+    });
+});
+
+test('hooks and subscribers can be removed', () => {
+    const { sm } = machine();
+    let entered = 0;
+    let events = 0;
+    const offEnter = sm.onEnter(AppState.MINDAR_READY, () => entered++);
+    const unsubscribe = sm.subscribe(() => events++);
+    offEnter();
+    unsubscribe();
+    sm.transition(AppState.MINDAR_READY);
+    assert.equal(entered, 0);
+    assert.equal(events, 0);
+});
+
+test('an entry hook may chain the next transition', () => {
+    const { sm } = machine();
+    sm.onEnter(AppState.MINDAR_TRACKING, () => sm.transition(AppState.POSE_STABILIZING));
+    sm.transition(AppState.MINDAR_READY);
+    sm.transition(AppState.MINDAR_TRACKING, { consecutiveFrames: MIN_TRACKING_FRAMES });
+    assert.equal(sm.state, AppState.POSE_STABILIZING);
+});
+
+test('custom guards override the defaults', () => {
+    const { sm } = machine({
+        guards: { [`${AppState.WORLD_LOCKING}->${AppState.RUNNING}`]: (p) => p.locked === true }
+    });
+    toStabilizing(sm);
+    sm.transition(AppState.WEBXR_STARTING);
+    sm.transition(AppState.WORLD_LOCKING);
+    assert.equal(sm.can(AppState.RUNNING, {}), false);
+    assert.ok(sm.transition(AppState.RUNNING, { locked: true }));
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { AssetManager } from '../src/AssetManager.js';
+import { sceneObjects, sceneAssetUrls } from '../src/SceneConfig.js';
+
+// fetch stand-in: `failures[url]` failed attempts before it succeeds.
+function fakeFetch(failures = {}) {
+    const calls = [];
+    let inFlight = 0;
+    const fetch = (url) => {
+        calls.push(url);
+        inFlight++;
+        fetch.maxInFlight = Math.max(fetch.maxInFlight, inFlight);
+        return new Promise(resolve => setImmediate(resolve)).then(() => {
+            inFlight--;
+            if (failures[url] > 0) {
+                failures[url]--;
+                return { ok: false, status: 503 };
+            }
+            return { ok: true, arrayBuffer: () => Promise.resolve(new TextEncoder().encode(`"${url}"`).buffer) };
+        });
+    };
+    fetch.calls = calls;
+    fetch.maxInFlight = 0;
+    return fetch;
+}
+
+function manager(fetch, options = {}) {
+    return new AssetManager({ fetch, setTimeout: (fn) => setImmediate(fn), ...options });
+}
+
+test('concurrent requests for a URL share one download', async () => {
+    const fetch = fakeFetch();
+    const assets = manager(fetch);
+    const [a, b] = await Promise.all([assets.load('/a.glb'), assets.load('/a.glb')]);
+    assert.equal(a, b);
+    assert.deepEqual(fetch.calls, ['/a.glb']);
+});
+
+test('a preloaded asset is fetched once and released after its first use', async () => {
+    const fetch = fakeFetch();
+    const assets = manager(fetch);
+    await assets.preload(['/a.glb', '/b.glb']);
+    assert.equal(await assets.loadJSON('/a.glb'), '/a.glb');
+    // Still downloading when the consumer asks.
+    const late = assets.preload(['/c.glb']);
+    assert.equal(await assets.loadJSON('/c.glb'), '/c.glb');
+    await late;
+    assert.deepEqual(fetch.calls, ['/a.glb', '/b.glb', '/c.glb']);
+    assert.equal(assets.entries.get('/a.glb').buffer, null);
+    assert.equal(assets.entries.get('/c.glb').buffer, null);
+    assert.notEqual(assets.entries.get('/b.glb').buffer, null);
+    assert.deepEqual(assets.progress, { total: 3, loaded: 3, failed: 0, done: true });
+});
+
+test('failed downloads are retried, then reported', async () => {
+    const fetch = fakeFetch({ '/flaky.png': 2, '/gone.png': 5 });
+    const assets = manager(fetch, { retries: 3 });
+    assert.equal(await assets.loadJSON('/flaky.png'), '/flaky.png');
+    await assert.rejects(assets.load('/gone.png'), /HTTP 503/);
+    assert.equal(fetch.calls.filter(url => url === '/gone.png').length, 3);
+    assert.deepEqual(assets.progress, { total: 2, loaded: 1, failed: 1, done: true });
+
+    // A later request tries the failed URL again.
+    assert.equal(await assets.loadJSON('/gone.png'), '/gone.png');
+});
+
+test('downloads are limited to the configured concurrency', async () => {
+    const fetch = fakeFetch();
+    const assets = manager(fetch, { concurrency: 2 });
+    await assets.preload(['/1.glb', '/2.glb', '/3.glb', '/4.glb', '/5.glb']);
+    assert.equal(fetch.calls.length, 5);
+    assert.equal(fetch.maxInFlight, 2);
+});
+
+test('progress is reported until every asset settles', async () => {
+    const assets = manager(fakeFetch({ '/bad.png': 9 }), { retries: 1 });
+    const reports = [];
+    assets.onProgress(progress => reports.push(progress));
+    await assets.preload(['/a.glb', '/b.png', '/bad.png']);
+    assert.deepEqual(reports[2], { total: 3, loaded: 0, failed: 0, done: false });
+    assert.deepEqual(reports[reports.length - 1], { total: 3, loaded: 2, failed: 1, done: true });
+});
+
+test('the bundled scene shares models between objects', () => {
+    const config = JSON.parse(readFileSync(new URL('../public/scene.json', import.meta.url)));
+    const objects = sceneObjects(config);
+    const urls = sceneAssetUrls(objects);
+    assert.ok(urls.length > 0);
+    assert.ok(urls.length < objects.length);
+    assert.equal(new Set(urls).size, urls.length);
+    assert.ok(urls.every(url => /\.(glb|png|jpe?g)$/i.test(url)));
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DistanceCalibration, CALIBRATION_METHOD, calibrationKey, deviceModelFromUserAgent, detectDeviceModel, estimateScale
+} from '../src/DistanceCalibration.js';
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+function calibrationFor(storage, key = 'Pixel 7@720x1280') {
+    const calibration = new DistanceCalibration({ storage, logger: () => {} });
+    calibration.load(key);
+    return calibration;
+}
+
+test('device model comes from the Android UA, ignoring reduced and iOS strings', () => {
+    assert.equal(deviceModelFromUserAgent(
+        'Mozilla/5.0 (Linux; Android 13; Pixel 7 Build/TQ3A.230805.001) AppleWebKit/537.36'), 'Pixel 7');
+    assert.equal(deviceModelFromUserAgent(
+        'Mozilla/5.0 (Linux; Android 14; SM-S918B) AppleWebKit/537.36'), 'SM-S918B');
+    assert.equal(deviceModelFromUserAgent('Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36'), 'unknown');
+    assert.equal(deviceModelFromUserAgent('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)'), 'iPhone');
+});
+
+test('client hints take precedence over the reduced UA string', async () => {
+    const nav = {
+        userAgent: 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36',
+        userAgentData: { getHighEntropyValues: () => Promise.resolve({ model: 'Pixel 8' }) }
+    };
+    assert.equal(await detectDeviceModel(nav), 'Pixel 8');
+    assert.equal(calibrationKey('Pixel 8', { width: 720, height: 1280 }), 'Pixel 8@720x1280');
+});
+
+test('estimateScale takes the median and drops implausible ratios', () => {
+    const estimate = estimateScale([2.9, 3.0, 3.1, 12, 0.05]);
+    assert.equal(estimate.count, 3);
+    assert.equal(estimate.scale, 3.0);
+    assert.ok(Math.abs(estimate.spread - 0.1 / 3) < 1e-9);
+    assert.equal(estimateScale([10, 0.1]), null);
+});
+
+test('calibration is stored per key and defaults to 1', () => {
+    const storage = memoryStorage();
+    const pixel = calibrationFor(storage);
+    assert.equal(pixel.scale, 1);
+    pixel.addSamples([3, 3, 3], CALIBRATION_METHOD.KNOWN_DISTANCE);
+    assert.equal(pixel.scale, 3);
+
+    assert.equal(calibrationFor(storage).scale, 3);
+    assert.equal(calibrationFor(storage, 'Pixel 7@480x640').scale, 1);
+});
+
+test('hit-test samples accumulate across locks', () => {
+    const calibration = calibrationFor(memoryStorage());
+    calibration.addSamples([2], CALIBRATION_METHOD.HIT_TEST);
+    calibration.addSamples([3], CALIBRATION_METHOD.HIT_TEST);
+    calibration.addSamples([3], CALIBRATION_METHOD.HIT_TEST);
+    assert.equal(calibration.scale, 3);
+    assert.equal(calibration.entry.count, 3);
+});
+
+test('deliberate calibrations win over hit-test samples', () => {
+    const calibration = calibrationFor(memoryStorage());
+    calibration.addSamples([2], CALIBRATION_METHOD.HIT_TEST);
+    calibration.setManual(2.5);
+    assert.equal(calibration.addSamples([3], CALIBRATION_METHOD.HIT_TEST), null);
+    assert.equal(calibration.scale, 2.5);
+
+    calibration.addSamples([1.5, 1.5], CALIBRATION_METHOD.KNOWN_DISTANCE);
+    assert.equal(calibration.scale, 1.5);
+    assert.equal(calibration.entry.method, CALIBRATION_METHOD.KNOWN_DISTANCE);
+});
+
+test('samples are ignored until a key is loaded', () => {
+    const calibration = new DistanceCalibration({ storage: memoryStorage(), logger: () => {} });
+    assert.equal(calibration.addSamples([3], CALIBRATION_METHOD.HIT_TEST), null);
+    assert.equal(calibration.scale, 1);
+});
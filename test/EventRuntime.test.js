@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { EventRuntime, FACE_TRANSLATE, approachPosition } from '../src/EventRuntime.js';
+
+function setup(cameraPosition) {
+    const runtime = new EventRuntime({ log: () => {} });
+    const root = new THREE.Group();
+    const target = new THREE.Object3D();
+    root.add(target);
+    const camera = new THREE.PerspectiveCamera();
+    camera.position.copy(cameraPosition);
+    camera.updateMatrixWorld();
+    root.updateMatrixWorld(true);
+    runtime.update(0, camera);
+    return { runtime, target };
+}
+
+function assertNear(actual, expected) {
+    assert.ok(actual.distanceTo(expected) < 1e-6, `${actual.toArray()} != ${expected.toArray()}`);
+}
+
+test('approach positions stop short of the viewer', () => {
+    const viewer = new THREE.Vector3(0, 1.5, 5);
+    const position = new THREE.Vector3(0, 0, 0);
+    assertNear(approachPosition(position, viewer, FACE_TRANSLATE.FULL), new THREE.Vector3(0, 1.5, 5).addScaledVector(new THREE.Vector3(0, -1.5, -5).normalize(), 1));
+    assertNear(approachPosition(position, viewer, FACE_TRANSLATE.HORIZONTAL), new THREE.Vector3(0, 0, 4));
+    assertNear(approachPosition(position, viewer, FACE_TRANSLATE.NONE), position);
+    // Already within reach.
+    assertNear(approachPosition(new THREE.Vector3(0, 1.5, 4.5), viewer, FACE_TRANSLATE.FULL), new THREE.Vector3(0, 1.5, 4.5));
+});
+
+test('a translate-only face action moves without turning, then returns', async () => {
+    const { runtime, target } = setup(new THREE.Vector3(3, 0, 4));
+    const done = runtime.faceCamera(target, {
+        face_rotate_to_me: false, face_translating: FACE_TRANSLATE.HORIZONTAL, trans_rot_sync: true,
+        time: 0.1, face_is_return: true, face_wait_time: 1
+    });
+    runtime.update(0.1);
+    await Promise.resolve();
+    assertNear(target.position, new THREE.Vector3(2.4, 0, 3.2));
+    assert.equal(target.quaternion.angleTo(new THREE.Quaternion()), 0);
+
+    for (let i = 0; i < 20; i++) {
+        runtime.update(0.1);
+        await Promise.resolve();
+    }
+    await done;
+    assertNear(target.position, new THREE.Vector3(0, 0, 0));
+});
+
+test('turning and moving run together with trans_rot_sync', async () => {
+    const { runtime, target } = setup(new THREE.Vector3(5, 0, 0));
+    await runtime.faceCamera(target, { face_rotate_to_me: true, face_translating: FACE_TRANSLATE.FULL, trans_rot_sync: true, time: 0 });
+    assertNear(target.position, new THREE.Vector3(4, 0, 0));
+    // Facing +X: the object's +Z turned onto the viewer.
+    assertNear(new THREE.Vector3(0, 0, 1).applyQuaternion(target.quaternion), new THREE.Vector3(1, 0, 0));
+});
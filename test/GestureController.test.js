@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { GestureController, pinchFactors, twistAngle } from '../src/GestureController.js';
+
+const WIDTH = 400;
+const HEIGHT = 800;
+
+function pointer(type, pointerId, x, y) {
+    return Object.assign(new Event(type), { pointerId, clientX: x, clientY: y });
+}
+
+// An object 2m ahead of the camera; anything picked near the screen center hits it.
+function setup(fields = { is_allow_drag: true, is_allow_pinch: true, is_allow_rotate: true, is_size_scale_lock: true }) {
+    const root = new THREE.Group();
+    const object = new THREE.Object3D();
+    object.position.set(0, 0, -2);
+    object.userData = { name: 'deer', model: { fields } };
+    root.add(object);
+    root.updateMatrixWorld(true);
+
+    // Held at eye height looking down at it, so drags can project onto the floor plane.
+    const camera = new THREE.PerspectiveCamera(60, WIDTH / HEIGHT, 0.01, 100);
+    camera.position.set(0, 1.5, 0);
+    camera.lookAt(object.position);
+    camera.updateMatrixWorld(true);
+
+    const element = new EventTarget();
+    element.getBoundingClientRect = () => ({ left: 0, top: 0, width: WIDTH, height: HEIGHT });
+
+    const selected = [];
+    const sceneManager = {
+        raycastFromCamera: (ndc) => (Math.abs(ndc.x) < 0.2 && Math.abs(ndc.y) < 0.2 ? object : null),
+        getRootObject: (hit) => hit,
+        selectObject: (target) => selected.push(target)
+    };
+    let clock = 0;
+    const gestures = new GestureController({
+        element, camera, sceneManager, logger: () => {}, options: { now: () => clock }
+    });
+    const advance = (ms) => { clock += ms; };
+    const send = (type, id, x, y) => element.dispatchEvent(pointer(type, id, x, y));
+    return { object, gestures, selected, send, advance };
+}
+
+test('pinch factors follow finger distance, or each axis span when unlocked', () => {
+    const start = [{ x: 100, y: 400 }, { x: 300, y: 400 }];
+    const wider = [{ x: 0, y: 400 }, { x: 400, y: 400 }];
+    assert.deepEqual(pinchFactors(start, wider, true), { x: 2, y: 2 });
+    // A horizontal pinch only widens an unlocked object.
+    assert.deepEqual(pinchFactors(start, wider, false), { x: 2, y: 1 });
+});
+
+test('twist angle is clockwise on screen and wraps', () => {
+    const start = [{ x: 0, y: 0 }, { x: 100, y: 0 }];
+    assert.ok(Math.abs(twistAngle(start, [{ x: 0, y: 0 }, { x: 0, y: 100 }]) - Math.PI / 2) < 1e-9);
+    const nearlyFlipped = [{ x: 0, y: 0 }, { x: -100, y: -1 }];
+    assert.ok(Math.abs(twistAngle(start, nearlyFlipped)) <= Math.PI);
+});
+
+test('pinching scales a scale-locked object uniformly, within the limits', () => {
+    const { object, send, gestures, selected } = setup();
+    send('pointerdown', 1, 180, 400);
+    send('pointerdown', 2, 220, 400);
+    assert.equal(selected[0], object);
+
+    send('pointermove', 2, 260, 400);
+    assert.ok(Math.abs(object.scale.x - 2) < 1e-9);
+    assert.equal(object.scale.x, object.scale.y);
+    assert.equal(gestures.suppressTap, true);
+
+    send('pointermove', 2, 2000, 400);
+    assert.equal(object.scale.x, 4);
+});
+
+test('twisting turns the object about the vertical axis', () => {
+    const { object, send } = setup({ is_allow_rotate: true });
+    send('pointerdown', 1, 200, 400);
+    send('pointerdown', 2, 250, 400);
+    send('pointermove', 2, 200, 450); // a quarter turn clockwise on screen
+    const euler = new THREE.Euler().setFromQuaternion(object.quaternion, 'YXZ');
+    assert.ok(Math.abs(euler.y + Math.PI / 2) < 1e-6);
+    // Not pinchable: the scale is untouched.
+    assert.equal(object.scale.x, 1);
+});
+
+test('dragging moves the object over its horizontal plane and swallows the tap', () => {
+    const { object, send, gestures, advance } = setup();
+    send('pointerdown', 1, 200, 400);
+    send('pointermove', 1, 203, 400); // below the drag threshold
+    assert.equal(object.position.x, 0);
+
+    send('pointermove', 1, 260, 400);
+    assert.ok(object.position.x > 0);
+    assert.ok(Math.abs(object.position.y) < 1e-9);
+    send('pointerup', 1, 260, 400);
+    assert.equal(gestures.suppressTap, true);
+    advance(1000);
+    assert.equal(gestures.suppressTap, false);
+});
+
+test('pinch or rotate alone does not allow dragging', () => {
+    const { object, send, selected } = setup({ is_allow_pinch: true, is_allow_rotate: true });
+    send('pointerdown', 1, 200, 400);
+    send('pointermove', 1, 260, 400);
+    assert.equal(selected[0], object);
+    assert.equal(object.position.x, 0);
+});
+
+test('objects that allow no gesture are not selected, and empty taps clear the selection', () => {
+    const locked = setup({});
+    locked.send('pointerdown', 1, 200, 400);
+    locked.send('pointermove', 1, 300, 400);
+    assert.deepEqual(locked.selected, [null]);
+    assert.equal(locked.object.position.x, 0);
+
+    const { send, selected, object } = setup();
+    send('pointerdown', 1, 200, 400);
+    send('pointerup', 1, 200, 400);
+    send('pointerdown', 1, 20, 20);
+    send('pointerup', 1, 20, 20);
+    assert.deepEqual(selected, [object, null, null]);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { I18n, CATALOGS, LANGUAGES, detectLanguage } from '../src/I18n.js';
+import { sceneObjects, modelUrl } from '../src/SceneConfig.js';
+
+test('language detection follows the preference list', () => {
+    assert.equal(detectLanguage(['ja-JP', 'en-US']), 'ja');
+    assert.equal(detectLanguage(['zh-HK']), 'zh-TW');
+    assert.equal(detectLanguage(['zh-CN', 'en']), 'zh-TW');
+    assert.equal(detectLanguage(['ko-KR', 'en-GB']), 'en');
+    // Nothing we carry: English for foreign visitors.
+    assert.equal(detectLanguage(['fr-FR']), 'en');
+    assert.equal(detectLanguage([]), 'en');
+});
+
+test('every catalog has the same keys as zh-TW', () => {
+    const keys = Object.keys(CATALOGS['zh-TW']).sort();
+    LANGUAGES.forEach(language => assert.deepEqual(Object.keys(CATALOGS[language]).sort(), keys, language));
+});
+
+test('strings interpolate and fall back to zh-TW, then the key', () => {
+    const i18n = new I18n({
+        language: 'en',
+        catalogs: { 'zh-TW': { only: '只有中文', count: '{done}/{total}' }, en: { count: '{done} of {total}' } }
+    });
+    assert.equal(i18n.t('count', { done: 3, total: 8 }), '3 of 8');
+    assert.equal(i18n.t('only'), '只有中文');
+    assert.equal(i18n.t('missing.key'), 'missing.key');
+
+    i18n.setLanguage('xx');
+    assert.equal(i18n.language, 'zh-TW');
+});
+
+test('scene objects pick their per-language overrides', () => {
+    const config = {
+        ar_objects: [{
+            id: 1,
+            name: '梅花鹿',
+            url: 'https://zoo.example/zh/deer',
+            model: { type: 5, fields: { width: 1 }, texture: { url: '/sign-zh.png' } },
+            i18n: {
+                en: { name: 'Sika deer', url: 'https://zoo.example/en/deer', model: { texture: { url: '/sign-en.png' } } },
+                ja: { name: 'ニホンジカ' }
+            }
+        }]
+    };
+    const [en] = sceneObjects(config, null, 'en');
+    assert.equal(en.name, 'Sika deer');
+    assert.equal(en.url, 'https://zoo.example/en/deer');
+    assert.equal(modelUrl(en), '/sign-en.png');
+    assert.equal(en.model.fields.width, 1);
+
+    const [ja] = sceneObjects(config, null, 'ja');
+    assert.equal(ja.name, 'ニホンジカ');
+    assert.equal(modelUrl(ja), '/sign-zh.png');
+
+    const [zh] = sceneObjects(config, null, 'zh-TW');
+    assert.equal(zh, config.ar_objects[0]);
+});
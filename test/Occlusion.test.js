@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { SceneManager } from '../src/SceneManager.js';
+import { TargetRegistry } from '../src/TargetRegistry.js';
+import { depthToMeters } from '../src/DepthOcclusion.js';
+
+function imageObject(id, fields = {}, extra = {}) {
+    return { id, name: `obj${id}`, location: { x: 0, y: 0, z: 0 }, model: { type: 5, fields }, ...extra };
+}
+
+function meshWith(material) {
+    return new THREE.Mesh(new THREE.PlaneGeometry(1, 1), material);
+}
+
+test('is_occlusion objects write depth only and draw first', () => {
+    const sceneManager = new SceneManager(new THREE.Scene(), null, () => {});
+    const map = new THREE.Texture();
+    const occluder = sceneManager.addObject(meshWith(new THREE.MeshBasicMaterial({ map, transparent: true })),
+        imageObject(1, { is_occlusion: true }));
+    const regular = sceneManager.addObject(meshWith(new THREE.MeshBasicMaterial()), imageObject(2));
+
+    assert.equal(occluder.material.colorWrite, false);
+    assert.equal(occluder.material.depthWrite, true);
+    assert.equal(occluder.material.transparent, false);
+    assert.equal(occluder.material.alphaTest, 0.5);
+    assert.ok(occluder.renderOrder < regular.renderOrder);
+    assert.equal(regular.material.colorWrite, true);
+});
+
+test('fading an occluder keeps it depth-only and hides it at zero', () => {
+    const sceneManager = new SceneManager(new THREE.Scene(), null, () => {});
+    const occluder = sceneManager.addObject(meshWith(new THREE.MeshBasicMaterial()),
+        imageObject(1, { is_occlusion: true }, { transparency: 0.5 }));
+    assert.equal(occluder.material.transparent, false);
+    assert.equal(occluder.material.depthWrite, true);
+    assert.equal(occluder.visible, true);
+
+    sceneManager.setOpacity(occluder, 0);
+    assert.equal(occluder.visible, false);
+});
+
+test('board panels follow the target layout in the world-origin frame', () => {
+    const registry = new TargetRegistry({
+        targets: [
+            { index: 0, width: 0.5, height: 0.3, offset: { position: { x: 0, y: -0.15, z: 0 } } },
+            { index: 1, offset: { position: { x: 0, y: -0.6, z: 0 }, rotation: { y: 90 } } }
+        ]
+    }, () => {});
+    const panels = registry.boardPanels(index => registry.widthOf(index, 0.58));
+    assert.deepEqual(panels.map(p => [p.width, p.height]), [[0.5, 0.3], [0.58, 0.58]]);
+    assert.equal(panels[1].position.y, -0.6);
+
+    const sceneManager = new SceneManager(new THREE.Scene(), null, () => {});
+    sceneManager.addBoardOccluders(panels);
+    // Rebuilding replaces the previous panels.
+    sceneManager.addBoardOccluders(panels);
+    const boards = sceneManager.worldRoot.children.filter(child => child.name === 'BoardOccluder');
+    assert.equal(boards.length, 2);
+    assert.equal(boards[0].material.colorWrite, false);
+    // Pushed just behind the printed surface (the target's -Z).
+    assert.ok(boards[0].position.z < 0);
+    assert.ok(Math.abs(boards[1].position.x) > 0);
+    assert.ok(Math.abs(boards[1].position.z) < 1e-9);
+
+    assert.deepEqual(new TargetRegistry({ board_occluder: false }, () => {}).boardPanels(() => 1), []);
+});
+
+test('raw depth values are scaled to meters per data format', () => {
+    const shorts = new Uint16Array([0, 1000, 2500]);
+    const out = new Float32Array(3);
+    assert.deepEqual([...depthToMeters(shorts.buffer, 'luminance-alpha', 0.001, out)], [0, 1, 2.5]);
+    const floats = new Float32Array([0.5, 2]);
+    assert.deepEqual([...depthToMeters(floats.buffer, 'float32', 1, new Float32Array(2))], [0.5, 2]);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXPERIENCE_MODE, runPreflight, chooseMode, applyModeOverride, detectXRFeatures } from '../src/Preflight.js';
+
+const ALL_FEATURES = { hitTest: true, anchors: true, domOverlay: true };
+
+function fakeCanvas({ version = 2, maxTextureSize = 8192 } = {}) {
+    const lost = { count: 0 };
+    const gl = {
+        MAX_TEXTURE_SIZE: 'tex',
+        MAX_RENDERBUFFER_SIZE: 'rb',
+        getParameter: name => (name === 'tex' ? maxTextureSize : 4096),
+        getExtension: () => ({ loseContext: () => lost.count++ })
+    };
+    return {
+        lost,
+        getContext: type => ((type === 'webgl2' && version === 2) || (type === 'webgl' && version >= 1) ? gl : null)
+    };
+}
+
+function fakeEnv({ devices = [{ kind: 'videoinput' }], permission = 'prompt', ar = true, features = ALL_FEATURES, canvas = fakeCanvas() } = {}) {
+    return {
+        isSecureContext: true,
+        navigator: {
+            mediaDevices: { getUserMedia: () => {}, enumerateDevices: () => Promise.resolve(devices) },
+            permissions: { query: () => (permission ? Promise.resolve({ state: permission }) : Promise.reject(new TypeError('camera'))) },
+            xr: ar === null ? undefined : { isSessionSupported: mode => Promise.resolve(ar && mode === 'immersive-ar') }
+        },
+        createCanvas: () => canvas,
+        xrFeatures: features
+    };
+}
+
+test('a capable phone gets the full handoff', async () => {
+    const canvas = fakeCanvas();
+    const report = await runPreflight(fakeEnv({ canvas }));
+    assert.deepEqual(report, {
+        camera: 'prompt',
+        immersiveAr: true,
+        features: ALL_FEATURES,
+        webgl: { version: 2, maxTextureSize: 8192, maxRenderbufferSize: 4096 }
+    });
+    assert.equal(canvas.lost.count, 1);
+    assert.deepEqual(chooseMode(report), { mode: EXPERIENCE_MODE.HANDOFF, reasons: [], limitations: [] });
+});
+
+test('missing WebXR features are limitations of the handoff, not a different mode', async () => {
+    const report = await runPreflight(fakeEnv({ features: { hitTest: false, anchors: false, domOverlay: true } }));
+    assert.deepEqual(chooseMode(report), {
+        mode: EXPERIENCE_MODE.HANDOFF,
+        reasons: [],
+        limitations: ['reason.noHitTest', 'reason.noAnchors']
+    });
+});
+
+test('without immersive-ar content stays on the marker', async () => {
+    for (const ar of [false, null]) {
+        const result = chooseMode(await runPreflight(fakeEnv({ ar })));
+        assert.equal(result.mode, EXPERIENCE_MODE.MINDAR_ONLY);
+        assert.deepEqual(result.reasons, ['reason.noImmersiveAr']);
+    }
+});
+
+test('no usable camera falls back to the 3D viewer', async () => {
+    const denied = chooseMode(await runPreflight(fakeEnv({ permission: 'denied' })));
+    assert.equal(denied.mode, EXPERIENCE_MODE.VIEWER);
+    assert.deepEqual(denied.reasons, ['reason.cameraDenied']);
+
+    const noCamera = chooseMode(await runPreflight(fakeEnv({ devices: [{ kind: 'audioinput' }] })));
+    assert.equal(noCamera.mode, EXPERIENCE_MODE.VIEWER);
+    assert.deepEqual(noCamera.reasons, ['reason.noCamera']);
+
+    const insecure = { ...fakeEnv(), isSecureContext: false };
+    assert.equal((await runPreflight(insecure)).camera, 'unavailable');
+});
+
+test('an unknown camera permission still tries the camera', async () => {
+    const report = await runPreflight(fakeEnv({ permission: null }));
+    assert.equal(report.camera, 'prompt');
+    assert.equal((await runPreflight(fakeEnv({ permission: 'granted' }))).camera, 'granted');
+});
+
+test('WebGL limits are reported; no WebGL at all is unsupported', async () => {
+    const small = chooseMode(await runPreflight(fakeEnv({ canvas: fakeCanvas({ version: 1, maxTextureSize: 2048 }) })));
+    assert.equal(small.mode, EXPERIENCE_MODE.HANDOFF);
+    assert.deepEqual(small.limitations, ['reason.smallTextures']);
+
+    const none = chooseMode(await runPreflight(fakeEnv({ canvas: fakeCanvas({ version: 0 }) })));
+    assert.deepEqual(none, { mode: EXPERIENCE_MODE.UNSUPPORTED, reasons: ['reason.noWebgl'], limitations: [] });
+});
+
+test('?mode= only steps down', () => {
+    const handoff = { mode: EXPERIENCE_MODE.HANDOFF, reasons: [], limitations: [] };
+    assert.deepEqual(applyModeOverride(handoff, 'mindar-only'),
+        { mode: EXPERIENCE_MODE.MINDAR_ONLY, reasons: ['reason.forced'], limitations: [] });
+    assert.equal(applyModeOverride(handoff, 'viewer').mode, EXPERIENCE_MODE.VIEWER);
+
+    const viewer = { mode: EXPERIENCE_MODE.VIEWER, reasons: ['reason.noCamera'], limitations: [] };
+    assert.equal(applyModeOverride(viewer, 'handoff'), viewer);
+    assert.equal(applyModeOverride(handoff, 'bogus'), handoff);
+    assert.equal(applyModeOverride(handoff, null), handoff);
+});
+
+test('XR feature detection looks at the shipped interfaces', () => {
+    function XRSession() {}
+    XRSession.prototype.requestHitTestSource = () => {};
+    assert.deepEqual(detectXRFeatures({ XRSession }), { hitTest: true, anchors: false, domOverlay: false });
+    assert.deepEqual(detectXRFeatures({}), { hitTest: false, anchors: false, domOverlay: false });
+});
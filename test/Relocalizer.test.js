@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { xrProjectionTransform } from '../src/Relocalizer.js';
+
+function assertNear(actual, expected, epsilon = 1e-6) {
+    assert.ok(Math.abs(actual - expected) < epsilon, `${actual} != ${expected}`);
+}
+
+test('the matcher projection comes from the XR view, in input pixels', () => {
+    // 60 degree vertical field of view on a 640x480 camera image.
+    const camera = new THREE.PerspectiveCamera(60, 640 / 480, 0.1, 100);
+    const projection = camera.projectionMatrix.elements;
+    const f = 240 / Math.tan(THREE.MathUtils.degToRad(30));
+
+    const same = xrProjectionTransform(projection, 640, 480, 640, 480);
+    assertNear(same[0][0], f);
+    assertNear(same[1][1], f);
+    assertNear(same[0][2], 320);
+    assertNear(same[1][2], 240);
+
+    // Scaled up 1.5x to cover a 960x540 input, then cropped top and bottom.
+    const cropped = xrProjectionTransform(projection, 640, 480, 960, 540);
+    assertNear(cropped[0][0], f * 1.5);
+    assertNear(cropped[0][2], 480);
+    assertNear(cropped[1][2], 270);
+});
+
+test('an off-center principal point moves the image center', () => {
+    const elements = new THREE.Matrix4().makePerspective(-1, 3, 1, -1, 1, 100).elements;
+    const transform = xrProjectionTransform(elements, 400, 200, 400, 200);
+    // The optical axis sits a quarter of the way across; rows are top-down.
+    assertNear(transform[0][2], 100);
+    assertNear(transform[1][2], 100);
+    assertNear(transform[0][0], 100);
+});
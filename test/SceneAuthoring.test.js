@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as THREE from 'three';
+import { SceneManager } from '../src/SceneManager.js';
+import { SceneAuthoring, sceneTransformOf, NUDGES } from '../src/SceneAuthoring.js';
+import { sceneObjects } from '../src/SceneConfig.js';
+
+const config = JSON.parse(readFileSync(new URL('../public/scene.json', import.meta.url)));
+
+// Scene objects as empty nodes: authoring only deals with transforms.
+function setup(objects = sceneObjects(config).slice(0, 5)) {
+    const sceneManager = new SceneManager(new THREE.Scene(), null, () => {});
+    sceneManager.config = config;
+    objects.forEach(objData => sceneManager.addObject(new THREE.Object3D(), objData, { scatter: false }));
+    const authoring = new SceneAuthoring({ sceneManager, logger: () => {} });
+    return { sceneManager, authoring, objects };
+}
+
+// Looking down -Z: forward is -Z, right is +X.
+const camera = new THREE.PerspectiveCamera();
+
+test('authored transforms export unchanged', () => {
+    const { sceneManager, authoring, objects } = setup();
+    objects.forEach(objData => {
+        const object = sceneManager.getObjectById(objData.id);
+        const exported = sceneTransformOf(object, objData);
+        assert.deepEqual(exported.location, objData.location);
+        assert.deepEqual(exported.zoom, objData.zoom);
+    });
+    assert.deepEqual(authoring.changes(), []);
+});
+
+test('nudges move relative to the camera and show up as changes', () => {
+    const { sceneManager, authoring, objects } = setup();
+    const objData = objects[1];
+    const object = sceneManager.getObjectById(objData.id);
+    authoring.nudge(object, NUDGES.forward, camera);
+    authoring.nudge(object, NUDGES.right, camera);
+    authoring.nudge(object, NUDGES['yaw-left'], camera);
+    authoring.nudge(object, NUDGES['scale-up'], camera);
+
+    const changes = authoring.changes();
+    assert.equal(changes.length, 1);
+    const [change] = changes;
+    assert.equal(change.id, objData.id);
+    assert.equal(change.location.x, Math.round((objData.location.x + 0.05) * 1e5) / 1e5);
+    assert.equal(change.location.z, Math.round((objData.location.z - 0.05) * 1e5) / 1e5);
+    assert.equal(change.location.y, objData.location.y);
+    assert.ok(Math.abs(change.location.rotate_y - (objData.location.rotate_y + 5)) < 1e-3);
+    assert.ok(Math.abs(change.zoom.x - objData.zoom.x * 1.05) < 1e-4);
+
+    authoring.reset(object);
+    assert.deepEqual(authoring.changes(), []);
+});
+
+test('snapping converts the world point into scene coordinates', () => {
+    const { sceneManager, authoring, objects } = setup();
+    sceneManager.worldRoot.position.set(1, 0, 0);
+    sceneManager.worldRoot.rotation.y = Math.PI / 2;
+    sceneManager.worldRoot.updateMatrixWorld(true);
+    const object = sceneManager.getObjectById(objects[0].id);
+    authoring.placeAt(object, new THREE.Vector3(1, -1, -2));
+    const { location } = sceneTransformOf(object, objects[0]);
+    assert.deepEqual([location.x, location.y, location.z], [2, -1, 0]);
+});
+
+test('the full export merges changes into a copy of the loaded config', () => {
+    const { sceneManager, authoring, objects } = setup();
+    const objData = objects[2];
+    authoring.nudge(sceneManager.getObjectById(objData.id), NUDGES.up, camera);
+
+    const exported = authoring.exportScene();
+    const merged = exported.ar_objects.find(o => o.id === objData.id);
+    assert.equal(merged.location.y, Math.round((objData.location.y + 0.05) * 1e5) / 1e5);
+    assert.deepEqual(merged.model, objData.model);
+    assert.equal(exported.ar_objects.length, config.ar_objects.length);
+    // The loaded config itself is untouched.
+    assert.notEqual(config.ar_objects.find(o => o.id === objData.id).location.y, merged.location.y);
+});
+
+test('objects authored with position / rotation / scale keep that schema', () => {
+    const objData = { id: 1, name: 'legacy', position: { x: 1, y: 2, z: 3 }, rotation: { x: 0, y: 90, z: 0 }, scale: { x: 2, y: 2, z: 2 } };
+    const { sceneManager, authoring } = setup([objData]);
+    authoring.nudge(sceneManager.getObjectById(1), NUDGES.down, camera);
+    const [change] = authoring.changes();
+    assert.deepEqual(Object.keys(change).sort(), ['id', 'name', 'position', 'rotation', 'scale']);
+    assert.deepEqual(change.position, { x: 1, y: 1.95, z: 3 });
+    assert.equal(change.rotation.y, 90);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as THREE from 'three';
+import { modelUrl, planInstancing, scatterOffsets, sceneObjects } from '../src/SceneConfig.js';
+import { InstanceBatch } from '../src/InstanceBatch.js';
+
+const TREE = 'https://example.com/tree.glb';
+
+function glbObject(id, fields = {}, extra = {}) {
+    return { id, location: { x: id, y: 0, z: 0 }, model: { type: 8, fields, ios_texture: { url: TREE } }, ...extra };
+}
+
+test('static objects sharing a model are instanced, others are built individually', () => {
+    const objects = [
+        glbObject(1), glbObject(2), glbObject(3),
+        glbObject(4, { face_me: true }),
+        glbObject(5, {}, { events: [{ id: 1, actions: [{ id: 19, values: { obj_id: 3, transparency: 0 } }] }] })
+    ];
+    const { instanced, individual } = planInstancing(objects, 2);
+    assert.deepEqual(instanced.get(TREE).map(o => o.id), [1, 2]);
+    // 3 is an action target, 4 faces the camera, 5 has events.
+    assert.deepEqual(individual.map(o => o.id).sort(), [3, 4, 5]);
+});
+
+test('groups below the minimum stay individual', () => {
+    const { instanced, individual } = planInstancing([glbObject(1), glbObject(2)], 3);
+    assert.equal(instanced.size, 0);
+    assert.equal(individual.length, 2);
+});
+
+test('the bundled tap triggers are not instanced', () => {
+    const config = JSON.parse(readFileSync(new URL('../public/scene.json', import.meta.url)));
+    const objects = sceneObjects(config);
+    const { instanced, individual } = planInstancing(objects);
+    const instancedCount = [...instanced.values()].reduce((sum, group) => sum + group.length, 0);
+    assert.equal(instancedCount + individual.length, objects.length);
+    // The shared trigger model carries tap events on every object.
+    const triggers = objects.filter(o => modelUrl(o) && modelUrl(o).includes('7k0l223dlvkjqix756i1k9ser522.glb'));
+    assert.ok(triggers.length > 10);
+    assert.ok(triggers.every(o => individual.includes(o)));
+});
+
+test('scatter offsets are seeded by object id and stay within the authored bounds', () => {
+    const fields = { multiply_number: 20, multiply_radius: 2, multiply_range: 0.5 };
+    const offsets = scatterOffsets(glbObject(42, fields));
+    assert.equal(offsets.length, 20);
+    assert.deepEqual(scatterOffsets(glbObject(42, fields)), offsets);
+    assert.notDeepEqual(scatterOffsets(glbObject(43, fields)), offsets);
+    offsets.forEach(offset => {
+        assert.ok(Math.hypot(offset.x, offset.z) <= 2);
+        assert.ok(Math.abs(offset.y) <= 0.5);
+    });
+
+    const flat = scatterOffsets(glbObject(42, { ...fields, multiply_is_zero_y: true }));
+    assert.ok(flat.every(offset => offset.y === 0));
+    assert.deepEqual(scatterOffsets(glbObject(42, { multiply_number: 0 })), []);
+});
+
+test('instance batches draw only visible instances, offset by the mesh transform', () => {
+    const source = new THREE.Group();
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), new THREE.MeshBasicMaterial());
+    mesh.position.set(0, 0.5, 0);
+    source.add(mesh);
+
+    const batch = new InstanceBatch(source, 3);
+    [0, 10, 20].forEach(x => batch.add(new THREE.Matrix4().makeTranslation(x, 0, 0), `owner-${x}`));
+    batch.setVisible(1, false);
+    batch.commit();
+
+    const instanced = batch.meshes[0];
+    assert.equal(instanced.count, 2);
+    assert.equal(instanced.geometry, mesh.geometry);
+    const matrix = new THREE.Matrix4();
+    instanced.getMatrixAt(1, matrix);
+    assert.deepEqual(new THREE.Vector3().setFromMatrixPosition(matrix).toArray(), [20, 0.5, 0]);
+    // Raycast instanceIds index the compacted draw order.
+    assert.equal(batch.ownerAt(1), 'owner-20');
+});
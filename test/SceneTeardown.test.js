@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { SceneManager } from '../src/SceneManager.js';
+
+test('disposing the scene stops its data panels and removes its content', () => {
+    const scene = new THREE.Scene();
+    const sceneManager = new SceneManager(scene, null, () => {});
+    const disposed = [];
+    sceneManager.dataPanels.push({ dispose: () => disposed.push('a') }, { dispose: () => disposed.push('b') });
+    const object = sceneManager.addObject(new THREE.Object3D(), { id: 1, location: { x: 0, y: 0, z: 0 }, model: { fields: {} } });
+    sceneManager.selectObject(object);
+
+    sceneManager.dispose();
+    assert.deepEqual(disposed, ['a', 'b']);
+    assert.equal(sceneManager.dataPanels.length, 0);
+    assert.equal(sceneManager.getSelectedObject(), null);
+    assert.equal(sceneManager.worldRoot.parent, null);
+    assert.equal(scene.children.length, 0);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { orbitPosition, framingDistance } from '../src/SceneViewer.js';
+
+function assertNear(actual, expected, epsilon = 1e-9) {
+    assert.ok(Math.abs(actual - expected) < epsilon, `${actual} != ${expected}`);
+}
+
+test('the orbit starts in front of the sign and keeps its distance', () => {
+    const target = new THREE.Vector3(1, -0.5, 0);
+    const front = orbitPosition(target, 0, 0, 3);
+    assert.deepEqual(front.toArray(), [1, -0.5, 3]);
+
+    const side = orbitPosition(target, Math.PI / 2, 0, 3);
+    assertNear(side.x, 4);
+    assertNear(side.z, 0);
+
+    const above = orbitPosition(target, 0.7, 0.4, 2.5);
+    assertNear(above.distanceTo(target), 2.5);
+    assert.ok(above.y > target.y);
+});
+
+test('framing backs off to fit the scene, within limits', () => {
+    // A 1m sphere fills a 60 degree view from 2m.
+    assertNear(framingDistance(1, 60), 2);
+    assert.equal(framingDistance(0.01, 60), 0.5);
+    assert.equal(framingDistance(100, 60), 30);
+});
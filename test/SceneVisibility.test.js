@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { SceneManager } from '../src/SceneManager.js';
+
+function culledObject(id, x, visibleDistance) {
+    return { id, name: `obj${id}`, location: { x, y: 0, z: 0 }, model: { type: 5, fields: { visible_distance: visibleDistance } } };
+}
+
+function cameraAt(x, y, z) {
+    const camera = new THREE.PerspectiveCamera();
+    camera.position.set(x, y, z);
+    camera.updateMatrixWorld();
+    return camera;
+}
+
+test('visible_distance culls by distance in meters', () => {
+    const sceneManager = new SceneManager(new THREE.Scene(), null, () => {});
+    const near = sceneManager.addObject(new THREE.Object3D(), culledObject(1, 0, 5));
+    const far = sceneManager.addObject(new THREE.Object3D(), culledObject(2, 10, 5));
+    sceneManager.worldRoot.updateMatrixWorld(true);
+
+    sceneManager.updateVisibility(cameraAt(0, 0, 3));
+    assert.equal(near.visible, true);
+    assert.equal(far.visible, false);
+});
+
+test('a worldRoot under a scaled MindAR anchor still culls in meters', () => {
+    const scene = new THREE.Scene();
+    const sceneManager = new SceneManager(scene, null, () => {});
+    // MindAR-only: anchor units are marker widths (0.5m here).
+    const markerRoot = new THREE.Group();
+    markerRoot.scale.setScalar(1 / 0.5);
+    markerRoot.add(sceneManager.worldRoot);
+    scene.add(markerRoot);
+    const object = sceneManager.addObject(new THREE.Object3D(), culledObject(1, 0, 5));
+    scene.updateMatrixWorld(true);
+
+    // 4m from the object in worldRoot space, 8 anchor units away.
+    sceneManager.updateVisibility(cameraAt(0, 0, 8));
+    assert.equal(object.visible, true);
+    sceneManager.updateVisibility(cameraAt(0, 0, 12));
+    assert.equal(object.visible, false);
+});
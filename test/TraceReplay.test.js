@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { TraceRecorder } from '../src/TraceRecorder.js';
+import { replayTrace } from '../src/TraceReplay.js';
+import { TargetRegistry } from '../src/TargetRegistry.js';
+import { AppState } from '../src/AppStateMachine.js';
+import { markerPoseFromMatrix, computeWorldOrigin, DEFAULT_ALIGNMENT } from '../src/WorldOrigin.js';
+
+const MARKER_WIDTH = 0.58;
+// Raw MindAR units (marker widths): about 1.2m straight ahead, facing the camera.
+const MARKER_RAW = new THREE.Vector3(0.1, -0.05, -2);
+const MARKER_QUAT = new THREE.Quaternion().setFromEuler(new THREE.Euler(0.05, 0.1, 0));
+const CAMERA_POS = new THREE.Vector3(0.2, 1.4, 0.1);
+const CAMERA_QUAT = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, 0.3, 0));
+
+// Deterministic jitter so the traces are reproducible.
+function jitter(i, amount) {
+    return Math.sin(i * 12.9898) * amount;
+}
+
+function recordSession({ frames = 60, noise = 0.002, outlierEvery = 0, lock = true, states = true } = {}) {
+    let clock = 0;
+    const recorder = new TraceRecorder({ logger: () => {}, now: () => clock });
+    recorder.setSettings({ markerWidth: MARKER_WIDTH, distanceBias: 1, alignment: DEFAULT_ALIGNMENT, lockStableFrames: 10, lockWaitMs: 1000 });
+    recorder.setManifest({});
+    const state = (from, to, payload = {}) => { if (states) recorder.recordEvent('state', { from, to, payload }); };
+
+    state(AppState.MINDAR_READY, AppState.MINDAR_TRACKING, { targetIndex: 0, consecutiveFrames: 10 });
+    state(AppState.MINDAR_TRACKING, AppState.POSE_STABILIZING);
+    for (let i = 0; i < frames; i++) {
+        clock += 33;
+        const pos = MARKER_RAW.clone().addScalar(jitter(i, noise));
+        if (outlierEvery && i % outlierEvery === 0) pos.x += 0.5;
+        const matrix = new THREE.Matrix4().compose(pos, MARKER_QUAT, new THREE.Vector3(1, 1, 1));
+        recorder.recordMarker(0, matrix, MARKER_WIDTH, 1);
+    }
+    clock += 50;
+    state(AppState.POSE_STABILIZING, AppState.WEBXR_STARTING);
+    clock += 500;
+    state(AppState.WEBXR_STARTING, AppState.WORLD_LOCKING);
+    for (let i = 0; i < 20; i++) {
+        clock += 16;
+        recorder.recordViewer({
+            position: { x: CAMERA_POS.x, y: CAMERA_POS.y, z: CAMERA_POS.z },
+            orientation: { x: CAMERA_QUAT.x, y: CAMERA_QUAT.y, z: CAMERA_QUAT.z, w: CAMERA_QUAT.w }
+        }, i < 3);
+    }
+    recorder.recordEvent('depth', { hitDistance: null });
+    if (lock) {
+        const markerPose = markerPoseFromMatrix(new THREE.Matrix4().compose(MARKER_RAW, MARKER_QUAT, new THREE.Vector3(1, 1, 1)), MARKER_WIDTH);
+        const origin = computeWorldOrigin(CAMERA_POS, CAMERA_QUAT, markerPose, new TargetRegistry({}, () => {}), 0);
+        recorder.recordEvent('lock', {
+            targetIndex: 0,
+            cameraPosition: CAMERA_POS.toArray(),
+            cameraQuaternion: CAMERA_QUAT.toArray(),
+            position: origin.position.toArray(),
+            quaternion: origin.quaternion.toArray()
+        });
+        state(AppState.WORLD_LOCKING, AppState.RUNNING);
+    }
+    // Round-trip through JSON like an exported file.
+    return JSON.parse(JSON.stringify(recorder));
+}
+
+test('recorder serializes settings, samples and events', () => {
+    const trace = recordSession({ frames: 5 });
+    assert.equal(trace.version, 1);
+    assert.equal(trace.markers.length, 5);
+    assert.equal(trace.markers[0].matrix.length, 16);
+    assert.equal(trace.viewers.length, 20);
+    assert.equal(trace.viewers[0].emulated, true);
+    assert.equal(trace.settings.markerWidth, MARKER_WIDTH);
+    assert.ok(trace.events.some(e => e.type === 'lock'));
+});
+
+test('replay reproduces the recorded lock', () => {
+    const report = replayTrace(recordSession());
+    assert.equal(report.attempts.length, 1);
+    assert.ok(report.fused);
+    assert.equal(report.targetIndex, 0);
+    assert.ok(report.delta.positionCm < 1, `delta ${report.delta.positionCm}cm`);
+    assert.ok(report.delta.rotationDeg < 0.5, `delta ${report.delta.rotationDeg}°`);
+});
+
+test('replay rejects a window with too many outliers', () => {
+    const report = replayTrace(recordSession({ outlierEvery: 2 }));
+    assert.equal(report.fused, null);
+    assert.equal(report.origin, null);
+    assert.equal(report.reason, 'stabilization never accepted');
+    assert.match(report.attempts[0].lastReason, /inliers|spread/);
+});
+
+test('overriding the marker width moves the replayed origin', () => {
+    const trace = recordSession();
+    const base = replayTrace(trace);
+    const wider = replayTrace(trace, { markerWidth: MARKER_WIDTH * 1.1 });
+    assert.ok(wider.origin.position.distanceTo(base.origin.position) > 0.05);
+});
+
+test('recorded hit-test depth replaces MindAR depth unless disabled', () => {
+    const trace = recordSession();
+    trace.events.find(e => e.type === 'depth').hitDistance = 1.5;
+    const withHit = replayTrace(trace);
+    const withoutHit = replayTrace(trace, { useHitDepth: false });
+    assert.equal(withHit.hitDistance, 1.5);
+    assert.equal(withoutHit.hitDistance, null);
+    assert.ok(withHit.delta.positionCm > withoutHit.delta.positionCm);
+});
+
+test('without a recorded lock the camera pose comes from the viewer samples', () => {
+    const report = replayTrace(recordSession({ lock: false }));
+    assert.equal(report.recorded, null);
+    assert.ok(report.camera.position.distanceTo(CAMERA_POS) < 1e-9);
+    assert.ok(report.origin);
+});
+
+test('a trace without state events is replayed as one window', () => {
+    const report = replayTrace(recordSession({ states: false }));
+    assert.equal(report.attempts.length, 1);
+    assert.ok(report.fused);
+});
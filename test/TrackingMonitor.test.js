@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { TrackingMonitor, TRACKING_QUALITY } from '../src/TrackingMonitor.js';
+
+const FRAME_MS = 1000 / 60;
+
+function pose(x = 0, { yawDeg = 0, emulated = false } = {}) {
+    return {
+        position: new THREE.Vector3(x, 1.4, 0),
+        quaternion: new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), THREE.MathUtils.degToRad(yawDeg)),
+        emulated
+    };
+}
+
+// Feeds `count` frames from `makePose(i)`, returning the last status.
+function run(monitor, clock, count, makePose) {
+    let status = null;
+    for (let i = 0; i < count; i++) {
+        clock.t += FRAME_MS;
+        status = monitor.update(clock.t, makePose(i));
+    }
+    return status;
+}
+
+test('steady tracking stays good', () => {
+    const monitor = new TrackingMonitor();
+    const status = run(monitor, { t: 0 }, 120, i => pose(i * 0.005));
+    assert.equal(status.quality, TRACKING_QUALITY.GOOD);
+    assert.equal(status.changed, false);
+});
+
+test('a short emulated streak is limited, a long one is lost', () => {
+    const monitor = new TrackingMonitor();
+    const clock = { t: 0 };
+    run(monitor, clock, 10, () => pose());
+
+    let status = run(monitor, clock, 3, () => pose(0, { emulated: true }));
+    assert.equal(status.quality, TRACKING_QUALITY.LIMITED);
+    assert.equal(status.reason, 'emulated');
+
+    status = run(monitor, clock, 10, () => pose(0, { emulated: true }));
+    assert.equal(status.quality, TRACKING_QUALITY.LOST);
+});
+
+test('missing viewer poses count as emulated', () => {
+    const monitor = new TrackingMonitor();
+    const status = run(monitor, { t: 0 }, 12, () => null);
+    assert.equal(status.quality, TRACKING_QUALITY.LOST);
+});
+
+test('recovery passes through limited before good', () => {
+    const monitor = new TrackingMonitor({ recoverFrames: 5 });
+    const clock = { t: 0 };
+    run(monitor, clock, 20, () => pose(0, { emulated: true }));
+
+    let status = run(monitor, clock, 1, () => pose());
+    assert.equal(status.quality, TRACKING_QUALITY.LIMITED);
+    assert.equal(status.previous, TRACKING_QUALITY.LOST);
+    assert.equal(status.reason, 'recovering');
+
+    status = run(monitor, clock, 5, () => pose());
+    assert.equal(status.quality, TRACKING_QUALITY.GOOD);
+});
+
+test('a one-frame jump marks tracking limited for the hold time', () => {
+    const monitor = new TrackingMonitor({ spikeHoldMs: 200 });
+    const clock = { t: 0 };
+    run(monitor, clock, 30, () => pose());
+
+    let status = run(monitor, clock, 1, () => pose(0.5));
+    assert.equal(status.quality, TRACKING_QUALITY.LIMITED);
+    assert.equal(status.reason, 'jump');
+
+    status = run(monitor, clock, 5, () => pose(0.5));
+    assert.equal(status.quality, TRACKING_QUALITY.LIMITED);
+    status = run(monitor, clock, 12, () => pose(0.5));
+    assert.equal(status.quality, TRACKING_QUALITY.GOOD);
+});
+
+test('fast sustained motion is a velocity spike', () => {
+    const monitor = new TrackingMonitor();
+    const clock = { t: 0 };
+    run(monitor, clock, 10, () => pose());
+    // 0.1m per frame at 60fps = 6 m/s, under the per-frame jump threshold
+    const status = run(monitor, clock, 3, i => pose((i + 1) * 0.1));
+    assert.equal(status.quality, TRACKING_QUALITY.LIMITED);
+    assert.equal(status.reason, 'velocity');
+});
+
+test('rotation jumps count too', () => {
+    const monitor = new TrackingMonitor();
+    const clock = { t: 0 };
+    run(monitor, clock, 10, () => pose());
+    const status = run(monitor, clock, 1, () => pose(0, { yawDeg: 45 }));
+    assert.equal(status.reason, 'jump');
+});
+
+test('a large jump when tracking resumes is flagged as re-localization', () => {
+    const monitor = new TrackingMonitor();
+    const clock = { t: 0 };
+    run(monitor, clock, 10, () => pose());
+    run(monitor, clock, 15, () => pose(0, { emulated: true }));
+
+    const status = run(monitor, clock, 1, () => pose(0.4, { yawDeg: 5 }));
+    assert.ok(status.relocalization);
+    assert.ok(Math.abs(status.relocalization.distance - 0.4) < 1e-9);
+    // The jump itself is not treated as a spike.
+    assert.equal(status.reason, 'recovering');
+});
+
+test('resuming in place is not a re-localization', () => {
+    const monitor = new TrackingMonitor();
+    const clock = { t: 0 };
+    run(monitor, clock, 10, () => pose());
+    run(monitor, clock, 15, () => pose(0, { emulated: true }));
+    const status = run(monitor, clock, 1, () => pose(0.01));
+    assert.equal(status.relocalization, null);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { WorldAnchor } from '../src/WorldAnchor.js';
+
+globalThis.XRRigidTransform = class {
+    constructor(position, orientation) {
+        this.position = position;
+        this.orientation = orientation;
+    }
+};
+
+function fakeAnchor(x) {
+    const anchor = { deleted: false, anchorSpace: { x }, delete: () => { anchor.deleted = true; } };
+    return anchor;
+}
+
+function fakeFrame(createAnchor) {
+    const frame = {
+        session: {},
+        trackedAnchors: new Set(),
+        createAnchor,
+        getPose: space => ({ transform: { position: new THREE.Vector3(space.x, 0, 0), orientation: new THREE.Quaternion() } })
+    };
+    return frame;
+}
+
+test('a re-anchor keeps the new pose while the anchor is created, and if creating it fails', async () => {
+    const worldAnchor = new WorldAnchor({ storageKey: 'test', logger: () => {} });
+    const drifted = fakeAnchor(5);
+    worldAnchor.anchor = drifted;
+    const root = new THREE.Object3D();
+
+    let reject;
+    const frame = fakeFrame(() => new Promise((resolve, fail) => { reject = fail; }));
+    frame.trackedAnchors.add(drifted);
+    const created = worldAnchor.create(frame, {}, new THREE.Vector3(1, 0, 0), new THREE.Quaternion());
+
+    root.position.set(1, 0, 0);
+    assert.equal(worldAnchor.applyTo(frame, {}, root), false);
+    assert.equal(root.position.x, 1);
+    assert.equal(drifted.deleted, true);
+
+    reject(new Error('out of anchors'));
+    await created;
+    assert.equal(worldAnchor.applyTo(frame, {}, root), false);
+    assert.equal(root.position.x, 1);
+});
+
+test('the new anchor drives the object once it resolves', async () => {
+    const worldAnchor = new WorldAnchor({ storageKey: 'test', logger: () => {} });
+    const anchor = fakeAnchor(1);
+    const frame = fakeFrame(() => Promise.resolve(anchor));
+    frame.trackedAnchors.add(anchor);
+    await worldAnchor.create(frame, {}, new THREE.Vector3(1, 0, 0), new THREE.Quaternion());
+
+    const root = new THREE.Object3D();
+    assert.equal(worldAnchor.applyTo(frame, {}, root), true);
+    assert.equal(root.position.x, 1);
+});
@@ -6,6 +6,7 @@ export default defineConfig({
             external: [
                 'three',
                 'three/addons/loaders/GLTFLoader.js',
+                'three/addons/utils/SkeletonUtils.js',
                 'mindar-image-three'
             ]
         }